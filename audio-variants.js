@@ -0,0 +1,195 @@
+import { createHash } from 'crypto';
+import { createReadStream } from 'fs';
+import { unlink } from 'fs/promises';
+import { getPodcastByUrl, getAudioVariants, saveAudioVariant, deleteAudioVariants, getAudioVariantRequests } from './database.js';
+import { downloadPodcast, getEpisodeDir } from './download.js';
+import { getAudioDuration } from './split-audio.js';
+import { computeFingerprint, loadEpisodeFingerprint, findFingerprint, buildIndex, FRAME_MS } from './fingerprint.js';
+
+// Abweichung, bis zu der eine vom Client gemeldete Dauer als dieselbe Fassung gilt
+const DURATION_TOLERANCE_MS = parseInt(process.env.AUDIO_VARIANT_TOLERANCE_MS) || 2000;
+// Obergrenze für Fassungen und Realign-Versuche pro Folge, damit Hosts mit
+// ständig neuer Werbung (oder erfundene Dauern) nicht endlos Downloads auslösen
+const MAX_VARIANTS = parseInt(process.env.AUDIO_VARIANT_MAX) || 10;
+
+const ANCHOR_MS = 10000;
+const ANCHOR_FRAMES = Math.round(ANCHOR_MS / FRAME_MS);
+const MIN_COVERAGE = 0.5;
+const MIN_INSERT_MS = 5000;
+
+/**
+ * SHA-256 of a file, streamed
+ */
+export function hashFile(path) {
+  return new Promise((resolve, reject) => {
+    const hash = createHash('sha256');
+    createReadStream(path)
+      .on('data', chunk => hash.update(chunk))
+      .on('error', reject)
+      .on('end', () => resolve(hash.digest('hex')));
+  });
+}
+
+/**
+ * Record the download the segments were detected on
+ * Replaces all known variants, their alignments refer to the old reference.
+ * @param {string} url - Episode URL
+ * @param {string} audioPath - Downloaded audio file
+ */
+export async function recordReferenceVariant(url, audioPath) {
+  const durationMs = Math.round((await getAudioDuration(audioPath)) * 1000);
+  const contentHash = await hashFile(audioPath);
+  deleteAudioVariants(url);
+  saveAudioVariant({ url, durationMs, contentHash });
+  return { durationMs, contentHash };
+}
+
+/**
+ * Align a variant to the reference via fingerprint anchors
+ * The reference is cut into ANCHOR_MS blocks, each block that occurs exactly
+ * once in the variant becomes an anchor. A jump in the offset between two
+ * neighbouring anchors means audio was inserted there.
+ * @param {Uint32Array} reference - Fingerprint of the analyzed download
+ * @param {Uint32Array} target - Fingerprint of the variant
+ * @returns {Object} { anchors: [[ref_ms, new_ms]], inserted: [{ start_ms, end_ms }], coverage }
+ */
+export function alignFingerprints(reference, target) {
+  const index = buildIndex(target);
+  const anchors = [];
+
+  for (let start = 0; start + ANCHOR_FRAMES <= reference.length; start += ANCHOR_FRAMES) {
+    const matches = findFingerprint(reference.subarray(start, start + ANCHOR_FRAMES), target, index);
+    // Mehrdeutige Blöcke (z.B. derselbe Spot zweimal) taugen nicht als Anker
+    if (matches.length !== 1) continue;
+
+    const anchor = [Math.round(start * FRAME_MS), Math.round(matches[0].offset * FRAME_MS)];
+    // Anker müssen in beiden Fassungen in derselben Reihenfolge liegen
+    if (anchors.length > 0 && anchor[1] <= anchors[anchors.length - 1][1]) continue;
+    anchors.push(anchor);
+  }
+
+  const inserted = [];
+  for (let i = 1; i < anchors.length; i++) {
+    const [prevRef, prevNew] = anchors[i - 1];
+    const [ref, next] = anchors[i];
+    if ((next - ref) - (prevNew - prevRef) >= MIN_INSERT_MS) {
+      inserted.push({ start_ms: prevNew + ANCHOR_MS, end_ms: next });
+    }
+  }
+
+  const referenceMs = reference.length * FRAME_MS;
+  const coverage = referenceMs > 0 ? Math.min(1, (anchors.length * ANCHOR_MS) / referenceMs) : 0;
+  return { anchors, inserted, coverage: Math.round(coverage * 1000) / 1000 };
+}
+
+function shift(anchors, ms, useNext) {
+  // Start: letzter Anker davor, Ende: erster Anker, dessen Block bis ms reicht
+  const anchor = useNext
+    ? anchors.find(([ref]) => ref + ANCHOR_MS >= ms) || anchors[anchors.length - 1]
+    : anchors.filter(([ref]) => ref <= ms).pop() || anchors[0];
+  return ms + (anchor[1] - anchor[0]);
+}
+
+/**
+ * Map reference segments onto a variant's timeline
+ * Segments that vanished in the variant are dropped, inserted audio that
+ * no mapped segment covers is added as dynamically inserted ad.
+ * @param {Object[]} segments - Segments on the reference timeline
+ * @param {Object} alignment - Result of alignFingerprints
+ * @returns {Object[]} Segments on the variant timeline
+ */
+export function mapSegments(segments, { anchors, inserted = [] }) {
+  if (anchors.length === 0) return segments;
+
+  const mapped = segments
+    .map(seg => ({ ...seg, start_ms: shift(anchors, seg.start_ms, false), end_ms: shift(anchors, seg.end_ms, true) }))
+    .filter(seg => seg.end_ms > seg.start_ms);
+
+  const dynamic = inserted
+    .filter(ins => !mapped.some(seg => seg.start_ms < ins.end_ms && seg.end_ms > ins.start_ms))
+    .map(ins => ({
+      id: `dynamic:${ins.start_ms}-${ins.end_ms}`,
+      start_ms: ins.start_ms,
+      end_ms: ins.end_ms,
+      category: 'sponsor',
+      description: 'Dynamisch eingefügte Werbung',
+      source: 'dynamic',
+      votes: 0,
+    }));
+
+  return [...mapped, ...dynamic].sort((a, b) => a.start_ms - b.start_ms);
+}
+
+/**
+ * Pick the segments for the download a client actually has
+ * canRealign is false once a realign was tried for this duration, so a
+ * duration the server never gets to download does not trigger it again.
+ * @param {Object} podcast - Row from the podcasts table
+ * @param {Object[]} segments - Effective segments on the reference timeline
+ * @param {number} durationMs - Episode duration reported by the client
+ * @returns {Object} { segments, reliable, variant, canRealign }
+ */
+export function resolveVariantSegments(podcast, segments, durationMs) {
+  const variants = getAudioVariants(podcast.url);
+  const variant = variants
+    .filter(v => Math.abs(v.duration_ms - durationMs) <= DURATION_TOLERANCE_MS)
+    .sort((a, b) => Math.abs(a.duration_ms - durationMs) - Math.abs(b.duration_ms - durationMs))[0];
+
+  if (!variant) {
+    const tried = getAudioVariantRequests(podcast.url);
+    const canRealign = variants.length < MAX_VARIANTS && tried.length < MAX_VARIANTS
+      && !tried.some(d => Math.abs(d - durationMs) <= DURATION_TOLERANCE_MS);
+    return { segments, reliable: false, variant: null, canRealign };
+  }
+
+  const alignment = variant.alignment ? JSON.parse(variant.alignment) : null;
+  const reliable = variant.reliable === 1;
+  return {
+    segments: alignment && reliable ? mapSegments(segments, alignment) : segments,
+    reliable,
+    variant: { duration_ms: variant.duration_ms, realigned: !!alignment },
+    canRealign: false,
+  };
+}
+
+/**
+ * Job handler: download the episode again and align that variant to the reference
+ * @param {Object} job - Row from the jobs table
+ * @returns {Promise<Object>} { title }
+ */
+export async function realignVariant(job) {
+  const { id: jobId, url } = job;
+  const podcast = getPodcastByUrl(url);
+  if (!podcast) {
+    throw Object.assign(new Error('Episode has not been analyzed yet'), { transient: false });
+  }
+
+  console.log(`\n[Job ${jobId}] Downloading variant: ${url}`);
+  const { filepath } = await downloadPodcast(url, { filename: `variant_${jobId}.mp3` });
+
+  try {
+    const durationMs = Math.round((await getAudioDuration(filepath)) * 1000);
+    const contentHash = await hashFile(filepath);
+    if (getAudioVariants(url).some(v => v.content_hash === contentHash)) {
+      console.log(`[Job ${jobId}] Variant already known`);
+      return { title: podcast.title };
+    }
+
+    const reference = await loadEpisodeFingerprint(getEpisodeDir(url));
+    if (!reference) {
+      // Vor dem Fingerprinting analysiert → nicht ausrichtbar, aber bekannt
+      console.log(`[Job ${jobId}] No reference fingerprint, variant marked unreliable`);
+      saveAudioVariant({ url, durationMs, contentHash, reliable: false });
+      return { title: podcast.title };
+    }
+
+    const alignment = alignFingerprints(reference, await computeFingerprint(filepath));
+    const reliable = alignment.coverage >= MIN_COVERAGE;
+    saveAudioVariant({ url, durationMs, contentHash, alignment, reliable });
+    console.log(`[Job ${jobId}] Variant ${Math.round(durationMs / 1000)}s: ${alignment.anchors.length} anchor(s), ${alignment.inserted.length} insertion(s), coverage ${alignment.coverage}${reliable ? '' : ' (unreliable)'}`);
+
+    return { title: podcast.title };
+  } finally {
+    try { await unlink(filepath); } catch {}
+  }
+}
@@ -0,0 +1,78 @@
+import { createHash, randomBytes, timingSafeEqual } from 'crypto';
+import { addApiKey, getApiKeyByHash, touchApiKey } from './database.js';
+
+// Aufsteigend: jede Rolle darf alles, was die Rollen davor dürfen
+export const ROLES = ['client', 'reviewer', 'admin'];
+
+const KEY_PREFIX = 'psb_';
+
+function hashKey(key) {
+  return createHash('sha256').update(key).digest('hex');
+}
+
+function isBootstrapKey(key) {
+  const adminKey = process.env.ADMIN_API_KEY;
+  if (!adminKey) return false;
+  const a = Buffer.from(hashKey(key));
+  const b = Buffer.from(hashKey(adminKey));
+  return timingSafeEqual(a, b);
+}
+
+/**
+ * Generate and store a new API key
+ * The plain key is only returned here, the database keeps its hash.
+ * @param {string} name - Label, e.g. the app or person using it
+ * @param {string} role - One of ROLES
+ * @param {number|null} dailyQuota - Processing jobs per day, null = default
+ * @returns {Object} { id, name, role, daily_quota, key }
+ */
+export function createApiKey(name, role, dailyQuota = null) {
+  const key = KEY_PREFIX + randomBytes(24).toString('base64url');
+  const id = addApiKey({ name, role, keyHash: hashKey(key), keyPrefix: key.slice(0, KEY_PREFIX.length + 6), dailyQuota });
+  return { id, name, role, daily_quota: dailyQuota, key };
+}
+
+function extractKey(req) {
+  const header = req.get('X-API-Key');
+  if (header) return header.trim();
+  const match = (req.get('Authorization') || '').match(/^Bearer\s+(.+)$/i);
+  return match ? match[1].trim() : null;
+}
+
+/**
+ * Middleware: resolve the API key of a request into req.apiKey
+ * Requests without a key stay anonymous (req.apiKey = null), an unknown
+ * or revoked key is rejected right away.
+ */
+export function authenticate(req, res, next) {
+  const key = extractKey(req);
+  req.apiKey = null;
+  if (!key) return next();
+
+  if (isBootstrapKey(key)) {
+    req.apiKey = { id: null, name: 'ADMIN_API_KEY', role: 'admin' };
+    return next();
+  }
+
+  const apiKey = getApiKeyByHash(hashKey(key));
+  if (!apiKey) return res.status(401).json({ error: 'Ungültiger API-Key' });
+
+  touchApiKey(apiKey.id);
+  req.apiKey = apiKey;
+  next();
+}
+
+/**
+ * Middleware factory: only let requests through whose key has at least `role`
+ * @param {string} role - Minimum role
+ */
+export function requireRole(role) {
+  const required = ROLES.indexOf(role);
+  return (req, res, next) => {
+    if (!req.apiKey) return res.status(401).json({ error: 'API-Key erforderlich' });
+    if (ROLES.indexOf(req.apiKey.role) < required) {
+      return res.status(403).json({ error: `Rolle ${role} erforderlich` });
+    }
+    next();
+  };
+}
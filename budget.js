@@ -0,0 +1,123 @@
+import { getSpentSince } from './database.js';
+import { getAudioDuration } from './split-audio.js';
+import { getTranscriptionProvider } from './transcribe.js';
+import { estimateDetectionTokens } from './detect-ads.js';
+import { getLLMConfig, calculateLLMCost } from './llm.js';
+
+// Ausgabenlimits in USD, 0 = kein Limit
+const DAILY_BUDGET = parseFloat(process.env.BUDGET_DAILY_USD) || 0;
+const MONTHLY_BUDGET = parseFloat(process.env.BUDGET_MONTHLY_USD) || 0;
+const MAX_EPISODE_COST = parseFloat(process.env.BUDGET_MAX_EPISODE_USD) || 0;
+
+// Geschätzte Kosten laufender Jobs: jobId → USD, damit parallele Jobs das Budget nicht gemeinsam sprengen
+const reservations = new Map();
+const RESERVATION_RETRY_MS = 5 * 60 * 1000;
+
+/**
+ * Estimate what processing an episode of the given length costs
+ * @param {number} durationSeconds - Episode duration
+ * @returns {Object} { durationSeconds, transcription, llm: { model, inputTokens, outputTokens, cost }, total }
+ */
+export function estimateCost(durationSeconds) {
+  const transcription = (durationSeconds / 60) * getTranscriptionProvider().costPerMinute;
+  const { model } = getLLMConfig();
+  const { inputTokens, outputTokens } = estimateDetectionTokens(durationSeconds);
+  const llmCost = calculateLLMCost(model, inputTokens, outputTokens);
+
+  return {
+    durationSeconds: Math.round(durationSeconds),
+    transcription,
+    llm: { model, inputTokens, outputTokens, cost: llmCost },
+    total: transcription + llmCost,
+  };
+}
+
+/**
+ * Estimate the cost of an audio file or URL (duration via ffprobe)
+ * @param {string} source - Local path or episode URL
+ */
+export async function estimateEpisodeCost(source) {
+  const duration = await getAudioDuration(source, { timeout: 60000 });
+  if (!(duration > 0)) throw new Error('Unknown duration');
+  return estimateCost(duration);
+}
+
+function periodStart(period, now = new Date()) {
+  return period === 'month'
+    ? Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1)
+    : Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate());
+}
+
+function nextPeriodStart(period, now = new Date()) {
+  return period === 'month'
+    ? Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1)
+    : Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1);
+}
+
+function reservedTotal() {
+  let total = 0;
+  for (const amount of reservations.values()) total += amount;
+  return total;
+}
+
+/**
+ * Current spending against the configured caps (UTC days/months)
+ */
+export function getBudgetStatus() {
+  const reserved = reservedTotal();
+  const period = (name, limit) => ({
+    limit: limit || null,
+    spent: getSpentSince(periodStart(name)),
+    reserved,
+    resetsAt: new Date(nextPeriodStart(name)).toISOString(),
+  });
+
+  return {
+    daily: period('day', DAILY_BUDGET),
+    monthly: period('month', MONTHLY_BUDGET),
+    maxEpisode: MAX_EPISODE_COST || null,
+  };
+}
+
+function budgetError(message, jobStatus, retryAt) {
+  return Object.assign(new Error(message), { transient: false, jobStatus, retryAt });
+}
+
+/**
+ * Reserve the estimated cost of a job or throw if it does not fit
+ * - Estimate above the per-episode cap or above a whole cap → refused
+ * - Cap already (partly) used up → deferred until the period resets
+ * @param {string} jobId - Job the reservation belongs to
+ * @param {number} amount - Estimated cost in USD
+ */
+export function reserveBudget(jobId, amount) {
+  const fmt = value => `$${value.toFixed(2)}`;
+
+  if (MAX_EPISODE_COST && amount > MAX_EPISODE_COST) {
+    throw budgetError(`Geschätzte Kosten ${fmt(amount)} übersteigen das Limit pro Folge (${fmt(MAX_EPISODE_COST)})`, 'refused');
+  }
+
+  const reserved = reservedTotal();
+  for (const [period, limit, label] of [['day', DAILY_BUDGET, 'Tagesbudget'], ['month', MONTHLY_BUDGET, 'Monatsbudget']]) {
+    if (!limit) continue;
+    if (amount > limit) {
+      throw budgetError(`Geschätzte Kosten ${fmt(amount)} übersteigen das ${label} (${fmt(limit)})`, 'refused');
+    }
+    const spent = getSpentSince(periodStart(period));
+    if (spent + reserved + amount > limit) {
+      // Reicht es nur wegen laufender Jobs nicht, bald erneut prüfen statt bis zum Periodenende zu warten
+      const retryAt = spent + amount <= limit ? Date.now() + RESERVATION_RETRY_MS : nextPeriodStart(period);
+      throw budgetError(
+        `${label} erschöpft (${fmt(spent + reserved)} von ${fmt(limit)}, benötigt ${fmt(amount)})`,
+        'deferred',
+        retryAt
+      );
+    }
+  }
+
+  reservations.set(jobId, amount);
+}
+
+export function releaseBudget(jobId) {
+  reservations.delete(jobId);
+}
@@ -0,0 +1,42 @@
+// Kategorien, die der Detection-Prompt kennt und die gespeichert werden
+export const SEGMENT_CATEGORIES = ['sponsor', 'eigenwerbung', 'merch', 'intro', 'outro', 'recap', 'preview'];
+
+// Kategorien, die beim Rendern der werbefreien Audiodatei herausgeschnitten werden
+export const AD_CATEGORIES = ['sponsor', 'eigenwerbung', 'merch'];
+
+// Anzeigenamen für Kapitel und Exporte
+export const CATEGORY_LABELS = {
+  sponsor: 'Werbung',
+  eigenwerbung: 'Eigenwerbung',
+  merch: 'Merch & Live-Shows',
+  intro: 'Intro',
+  outro: 'Outro',
+  recap: 'Rückblick',
+  preview: 'Vorschau'
+};
+
+/**
+ * Two segments of these categories describe the same stretch of audio,
+ * so one replaces the other where they overlap. An ad inside an intro
+ * is kept next to the intro.
+ */
+export function categoriesCompete(a, b) {
+  return a === b || (AD_CATEGORIES.includes(a) && AD_CATEGORIES.includes(b));
+}
+
+/**
+ * Parse a comma-separated category filter ("sponsor,intro" or "all")
+ * @param {string|undefined} value - Query parameter
+ * @returns {Object} { categories } or { error }; without a value the ad categories
+ */
+export function parseCategoryFilter(value) {
+  if (value === undefined || value === '') return { categories: AD_CATEGORIES };
+  if (value === 'all') return { categories: SEGMENT_CATEGORIES };
+
+  const categories = [...new Set(String(value).split(',').map(c => c.trim()).filter(Boolean))];
+  const unknown = categories.filter(c => !SEGMENT_CATEGORIES.includes(c));
+  if (unknown.length > 0 || categories.length === 0) {
+    return { error: `categories muss eine Liste aus ${SEGMENT_CATEGORIES.join(', ')} oder "all" sein` };
+  }
+  return { categories };
+}
@@ -0,0 +1,109 @@
+import { AD_CATEGORIES } from './categories.js';
+
+// Unterhalb dieser Konfidenz landen Segmente in der Review-Queue
+export const REVIEW_CONFIDENCE_THRESHOLD = parseFloat(process.env.REVIEW_CONFIDENCE_THRESHOLD) || 0.6;
+
+// Ohne Angabe des Modells
+const DEFAULT_MODEL_CONFIDENCE = 0.5;
+
+// Ausdrückliche Ansagen, mit denen Werbung im deutschsprachigen Podcast meist beginnt
+const AD_MARKERS = /\b(werbung|anzeige|sponsor(?:ed|en|in)?|unterstützt von|präsentiert von|rabatt(?:code)?|gutschein(?:code)?|mit dem code|affiliate)\b/i;
+
+const MIN_AD_MS = 5000;
+const MAX_AD_MS = 10 * 60 * 1000;
+// Intros beginnen so früh, Outros enden so spät in der Folge
+const EDGE_MS = 3 * 60 * 1000;
+
+const ADJUSTMENTS = {
+  explicit_marker: 0.15,
+  chunk_agreement: 0.1,
+  chunk_disagreement: -0.15,
+  word_aligned: 0.05,
+  position: 0.1,
+  very_short: -0.2,
+  very_long: -0.2,
+};
+
+/**
+ * Confidence of a stored segment for filtering
+ * Manual, community and fingerprint segments are confirmed; AI segments
+ * from before confidence scores existed have none (null).
+ */
+export function segmentConfidence(seg) {
+  if (typeof seg.confidence === 'number') return seg.confidence;
+  if (['manual', 'community', 'fingerprint'].includes(seg.source)) return 1;
+  return null;
+}
+
+function textInRange(transcriptSegments, startMs, endMs) {
+  return transcriptSegments
+    .filter(seg => seg.start * 1000 < endMs && seg.end * 1000 > startMs)
+    .map(seg => seg.text)
+    .join(' ');
+}
+
+/**
+ * Score detected segments from the model's own estimate plus adjustments
+ * - chunk_agreement/-disagreement: in the overlap of two chunks, did both report it?
+ * - explicit_marker: "Werbung", "Rabattcode" etc. inside an ad segment
+ * - position: intro near the start, outro near the end of the episode
+ * - word_aligned: both quoted phrases were found in the transcript
+ * - very_short/very_long: implausible ad lengths
+ * @param {Object[]} segments - Merged segments with model confidence and the chunk indices that reported them
+ * @param {Object} context - { transcriptSegments (seconds), chunks: [{ startTime, endTime }] }
+ * @returns {Object[]} Segments with confidence (0–1) and confidence_reasons, without chunk indices
+ */
+export function scoreSegments(segments, { transcriptSegments, chunks }) {
+  const episodeEndMs = transcriptSegments.length > 0 ? transcriptSegments[transcriptSegments.length - 1].end * 1000 : 0;
+
+  return segments.map(({ chunks: reportedBy = [], confidence, ...seg }) => {
+    const reasons = [];
+    const modelConfidence = typeof confidence === 'number' ? Math.min(1, Math.max(0, confidence)) : DEFAULT_MODEL_CONFIDENCE;
+    const isAd = AD_CATEGORIES.includes(seg.category);
+    const durationMs = seg.end_ms - seg.start_ms;
+
+    const covering = chunks
+      .map((chunk, index) => ({ ...chunk, index }))
+      .filter(chunk => chunk.startTime * 1000 <= seg.start_ms && seg.end_ms <= chunk.endTime * 1000);
+    if (covering.length >= 2) {
+      reasons.push(covering.every(chunk => reportedBy.includes(chunk.index)) ? 'chunk_agreement' : 'chunk_disagreement');
+    }
+
+    if (isAd && AD_MARKERS.test(textInRange(transcriptSegments, seg.start_ms, seg.end_ms))) reasons.push('explicit_marker');
+    if (seg.word_aligned) reasons.push('word_aligned');
+    if ((seg.category === 'intro' && seg.start_ms <= EDGE_MS) || (seg.category === 'outro' && episodeEndMs - seg.end_ms <= EDGE_MS)) {
+      reasons.push('position');
+    }
+    if (isAd && durationMs < MIN_AD_MS) reasons.push('very_short');
+    if (isAd && durationMs > MAX_AD_MS) reasons.push('very_long');
+
+    const score = reasons.reduce((sum, reason) => sum + ADJUSTMENTS[reason], modelConfidence);
+    return {
+      ...seg,
+      confidence: Math.round(Math.min(1, Math.max(0, score)) * 100) / 100,
+      confidence_reasons: typeof confidence === 'number' ? reasons : ['no_model_confidence', ...reasons],
+    };
+  });
+}
+
+/**
+ * Parse the min_confidence query parameter
+ * @returns {Object} { minConfidence } (null = no filter) or { error }
+ */
+export function parseMinConfidence(value) {
+  if (value === undefined || value === '') return { minConfidence: null };
+  const minConfidence = Number(value);
+  if (!(minConfidence >= 0 && minConfidence <= 1)) return { error: 'min_confidence muss eine Zahl zwischen 0 und 1 sein' };
+  return { minConfidence };
+}
+
+/**
+ * Keep segments at or above a confidence; segments without a score are kept
+ */
+export function filterByConfidence(segments, minConfidence) {
+  if (minConfidence === null) return segments;
+  return segments.filter(seg => {
+    const confidence = segmentConfidence(seg);
+    return confidence === null || confidence >= minConfidence;
+  });
+}
@@ -0,0 +1,117 @@
+import { getCostEntries } from './database.js';
+import { getLLMConfig, getPricingVersion } from './llm.js';
+import { getTranscriptionProvider } from './transcribe.js';
+
+export const COST_GROUPS = ['day', 'month', 'host', 'model'];
+
+/**
+ * Build the cost_data object stored with a podcast
+ * Model, transcription provider and pricing version are stored alongside
+ * the amounts, so old numbers stay explainable after price or model changes.
+ * @param {Object} usage - { whisperSeconds, whisperCost, inputTokens, outputTokens, llmCost, model }
+ * @returns {Object} cost_data
+ */
+export function buildCostData({ whisperSeconds = 0, whisperCost = 0, inputTokens = 0, outputTokens = 0, llmCost = 0, model = getLLMConfig().model }) {
+  const provider = getTranscriptionProvider();
+  return {
+    whisper: { totalSeconds: whisperSeconds, cost: whisperCost, provider: provider.name, pricePerMinute: provider.costPerMinute },
+    gpt: { inputTokens, outputTokens, cost: llmCost, model },
+    totalCost: whisperCost + llmCost,
+    pricingVersion: getPricingVersion(),
+  };
+}
+
+/**
+ * Add the cost of a further run (e.g. a reanalysis) to an episode's cost_data
+ * Amounts are summed; model and pricing version are those of the latest run,
+ * the transcription provider stays that of the run that transcribed.
+ * @param {Object|null} previous - Stored cost_data
+ * @param {Object} added - cost_data of the new run
+ * @returns {Object} cost_data
+ */
+export function addCostData(previous, added) {
+  if (!previous) return added;
+  const whisperCost = (previous.whisper?.cost || 0) + added.whisper.cost;
+  const llmCost = (previous.gpt?.cost || 0) + added.gpt.cost;
+  return {
+    whisper: { ...added.whisper, ...previous.whisper, totalSeconds: (previous.whisper?.totalSeconds || 0) + added.whisper.totalSeconds, cost: whisperCost },
+    gpt: {
+      inputTokens: (previous.gpt?.inputTokens || 0) + added.gpt.inputTokens,
+      outputTokens: (previous.gpt?.outputTokens || 0) + added.gpt.outputTokens,
+      cost: llmCost,
+      model: added.gpt.model,
+    },
+    totalCost: whisperCost + llmCost,
+    pricingVersion: added.pricingVersion,
+  };
+}
+
+function groupKey(entry, groupBy) {
+  const date = new Date(entry.created_at).toISOString();
+  switch (groupBy) {
+    case 'day': return date.slice(0, 10);
+    case 'month': return date.slice(0, 7);
+    case 'model': return entry.model || 'unknown';
+    case 'host':
+      try {
+        return new URL(entry.podcast_url).hostname.replace(/^www\./, '');
+      } catch {
+        return 'unknown';
+      }
+  }
+}
+
+const round = (value, digits) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+/**
+ * Aggregate the cost ledger
+ * @param {Object} options - { groupBy, from, to } (from/to as ms, to exclusive)
+ * @returns {Object} { groupBy, rows: [...], totals }
+ */
+export function aggregateCosts({ groupBy = 'day', from, to } = {}) {
+  const groups = new Map();
+  const totals = { episodes: 0, whisper_seconds: 0, input_tokens: 0, output_tokens: 0, whisper_cost: 0, llm_cost: 0, total_cost: 0 };
+
+  for (const entry of getCostEntries({ from, to })) {
+    const key = groupKey(entry, groupBy);
+    if (!groups.has(key)) {
+      groups.set(key, { key, episodes: 0, whisper_seconds: 0, input_tokens: 0, output_tokens: 0, whisper_cost: 0, llm_cost: 0, total_cost: 0 });
+    }
+    for (const row of [groups.get(key), totals]) {
+      row.episodes++;
+      row.whisper_seconds += entry.whisper_seconds || 0;
+      row.input_tokens += entry.input_tokens || 0;
+      row.output_tokens += entry.output_tokens || 0;
+      row.whisper_cost += entry.whisper_cost;
+      row.llm_cost += entry.llm_cost;
+      row.total_cost += entry.total_cost;
+    }
+  }
+
+  const finish = row => ({
+    ...row,
+    whisper_seconds: Math.round(row.whisper_seconds),
+    whisper_cost: round(row.whisper_cost, 4),
+    llm_cost: round(row.llm_cost, 4),
+    total_cost: round(row.total_cost, 4),
+  });
+
+  return {
+    groupBy,
+    rows: [...groups.values()].sort((a, b) => a.key.localeCompare(b.key)).map(finish),
+    totals: finish(totals),
+  };
+}
+
+/**
+ * Render aggregated rows as CSV (header + one line per group)
+ */
+export function costsToCsv({ groupBy, rows }) {
+  const columns = ['key', 'episodes', 'whisper_seconds', 'input_tokens', 'output_tokens', 'whisper_cost', 'llm_cost', 'total_cost'];
+  const escape = value => {
+    const text = String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  const header = [groupBy, ...columns.slice(1)].join(',');
+  return [header, ...rows.map(row => columns.map(c => escape(row[c])).join(','))].join('\n') + '\n';
+}
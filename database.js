@@ -49,6 +49,205 @@ export async function initDatabase() {
     )
   `);
 
+  db.run(`
+    CREATE TABLE IF NOT EXISTS feeds (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      url TEXT UNIQUE NOT NULL,
+      title TEXT,
+      last_checked_at DATETIME,
+      last_error TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  db.run(`
+    CREATE TABLE IF NOT EXISTS feed_episodes (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      feed_id INTEGER NOT NULL,
+      guid TEXT,
+      url TEXT NOT NULL,
+      title TEXT,
+      published_at DATETIME,
+      seen_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE(feed_id, url)
+    )
+  `);
+
+  // Job-Queue: Zeitstempel in ms, wie sie auch über /process/:jobId ausgeliefert werden
+  db.run(`
+    CREATE TABLE IF NOT EXISTS jobs (
+      id TEXT PRIMARY KEY,
+      type TEXT NOT NULL DEFAULT 'process',
+      url TEXT NOT NULL,
+      status TEXT NOT NULL DEFAULT 'queued',
+      attempts INTEGER DEFAULT 0,
+      title TEXT,
+      error TEXT,
+      created_at INTEGER NOT NULL,
+      started_at INTEGER,
+      finished_at INTEGER,
+      next_run_at INTEGER NOT NULL
+    )
+  `);
+
+  // Community-Segmente (SponsorBlock-artig) und Votes
+  // target: 'community:<id>' für Einreichungen, 'ai:<start_ms>-<end_ms>' für KI-Segmente
+  db.run(`
+    CREATE TABLE IF NOT EXISTS community_segments (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      podcast_url TEXT NOT NULL,
+      start_ms INTEGER NOT NULL,
+      end_ms INTEGER NOT NULL,
+      category TEXT NOT NULL,
+      description TEXT,
+      submitter_id TEXT NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  db.run(`
+    CREATE TABLE IF NOT EXISTS segment_votes (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      podcast_url TEXT NOT NULL,
+      target TEXT NOT NULL,
+      voter_id TEXT NOT NULL,
+      vote INTEGER NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE(podcast_url, target, voter_id)
+    )
+  `);
+
+  // Fingerprints bestätigter Werbesegmente (base64-kodierte Uint32-Folge)
+  db.run(`
+    CREATE TABLE IF NOT EXISTS ad_fingerprints (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      podcast_url TEXT NOT NULL,
+      start_ms INTEGER NOT NULL,
+      end_ms INTEGER NOT NULL,
+      category TEXT NOT NULL,
+      description TEXT,
+      hashes TEXT NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  // Heruntergeladene Fassungen einer Folge (dynamische Werbung → unterschiedliche Länge)
+  // alignment: null = Referenz der Analyse, sonst Zeit-Mapping auf die Referenz
+  db.run(`
+    CREATE TABLE IF NOT EXISTS audio_variants (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      podcast_url TEXT NOT NULL,
+      duration_ms INTEGER NOT NULL,
+      content_hash TEXT NOT NULL,
+      alignment TEXT,
+      reliable INTEGER NOT NULL DEFAULT 1,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE(podcast_url, content_hash)
+    )
+  `);
+
+  // Vom Client gemeldete Dauern, für die schon ein Realign gestartet wurde
+  // (auch wenn der Server dabei eine bereits bekannte Fassung bekam)
+  db.run(`
+    CREATE TABLE IF NOT EXISTS audio_variant_requests (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      podcast_url TEXT NOT NULL,
+      duration_ms INTEGER NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE(podcast_url, duration_ms)
+    )
+  `);
+
+  // API-Keys: gespeichert wird nur der SHA-256-Hash, role = client | reviewer | admin
+  db.run(`
+    CREATE TABLE IF NOT EXISTS api_keys (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL,
+      key_hash TEXT UNIQUE NOT NULL,
+      key_prefix TEXT NOT NULL,
+      role TEXT NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      last_used_at DATETIME,
+      revoked_at DATETIME
+    )
+  `);
+
+  // Wer einen Job angelegt hat (für Tageskontingente) und eigenes Kontingent pro Key
+  try { db.run(`ALTER TABLE jobs ADD COLUMN api_key_id INTEGER`); } catch {}
+  try { db.run(`ALTER TABLE api_keys ADD COLUMN daily_quota INTEGER`); } catch {}
+
+  // Tatsächliche Kosten jedes Pipeline-Laufs (Grundlage für Budgets), created_at in ms
+  db.run(`
+    CREATE TABLE IF NOT EXISTS cost_ledger (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      job_id TEXT,
+      podcast_url TEXT NOT NULL,
+      whisper_cost REAL NOT NULL DEFAULT 0,
+      llm_cost REAL NOT NULL DEFAULT 0,
+      total_cost REAL NOT NULL DEFAULT 0,
+      estimated_cost REAL,
+      created_at INTEGER NOT NULL
+    )
+  `);
+
+  // Nutzungsdaten pro Lauf für Auswertungen (GET /stats/costs)
+  for (const column of ['whisper_seconds REAL', 'input_tokens INTEGER', 'output_tokens INTEGER', 'model TEXT', 'pricing_version TEXT']) {
+    try { db.run(`ALTER TABLE cost_ledger ADD COLUMN ${column}`); } catch {}
+  }
+  backfillCostLedger();
+
+  // Transkript-Segmente + FTS4-Volltextindex (rowid = transcript_segments.id)
+  db.run(`
+    CREATE TABLE IF NOT EXISTS transcript_segments (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      podcast_url TEXT NOT NULL,
+      start_ms INTEGER NOT NULL,
+      end_ms INTEGER NOT NULL,
+      text TEXT NOT NULL
+    )
+  `);
+  db.run(`CREATE INDEX IF NOT EXISTS idx_transcript_segments_url ON transcript_segments (podcast_url, start_ms)`);
+  db.run(`CREATE VIRTUAL TABLE IF NOT EXISTS transcript_fts USING fts4(text, tokenize=unicode61)`);
+  // Wort-Zeitstempel pro Segment als JSON [{ word, start_ms, end_ms }]
+  try {
+    db.run(`ALTER TABLE transcript_segments ADD COLUMN words TEXT`);
+  } catch {}
+
+  // Jeder Erkennungslauf als Version; podcasts.segments enthält die aktive Version
+  db.run(`
+    CREATE TABLE IF NOT EXISTS segment_versions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      podcast_url TEXT NOT NULL,
+      segments TEXT NOT NULL,
+      source TEXT NOT NULL,
+      model TEXT,
+      prompt_version TEXT,
+      created_at INTEGER NOT NULL
+    )
+  `);
+  db.run(`CREATE INDEX IF NOT EXISTS idx_segment_versions_url ON segment_versions (podcast_url)`);
+  try { db.run(`ALTER TABLE podcasts ADD COLUMN active_version_id INTEGER`); } catch {}
+  // Name des API-Keys bei manuellen Korrekturen
+  try { db.run(`ALTER TABLE segment_versions ADD COLUMN created_by TEXT`); } catch {}
+  backfillSegmentVersions();
+
+  // Whitelist-Regeln; whitelist.json wird einmalig übernommen, wenn die Tabelle neu angelegt wird
+  const hasWhitelistTable = db.exec(`SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = 'whitelist_rules'`).length > 0;
+  db.run(`
+    CREATE TABLE IF NOT EXISTS whitelist_rules (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL,
+      match_type TEXT NOT NULL,
+      pattern TEXT NOT NULL,
+      categories TEXT,
+      expires_at INTEGER,
+      note TEXT,
+      created_at INTEGER NOT NULL,
+      UNIQUE(match_type, pattern)
+    )
+  `);
+  if (!hasWhitelistTable) importWhitelistFile();
+
   // Migrate existing URLs: strip query parameters for consistent lookup
   const urlsToMigrate = [];
   const migrateStmt = db.prepare('SELECT id, url FROM podcasts');
@@ -94,11 +293,24 @@ export async function initDatabase() {
 
 // Save database to disk
 function saveDatabase() {
+  clearTimeout(saveTimer);
+  saveTimer = null;
   const data = db.export();
   const buffer = Buffer.from(data);
   writeFileSync(DB_PATH, buffer);
 }
 
+// Für häufige, unkritische Schreibzugriffe (Request-Zähler): höchstens
+// einmal pro SAVE_DEBOUNCE_MS exportieren statt bei jedem Request
+const SAVE_DEBOUNCE_MS = 5000;
+let saveTimer = null;
+
+function scheduleSave() {
+  if (saveTimer) return;
+  saveTimer = setTimeout(saveDatabase, SAVE_DEBOUNCE_MS);
+  saveTimer.unref();
+}
+
 function normalizeUrl(url) {
   try {
     const u = new URL(url);
@@ -124,6 +336,14 @@ export const getPodcastByUrl = (url) => {
   return null;
 };
 
+export const getPodcastById = (id) => {
+  const stmt = db.prepare('SELECT * FROM podcasts WHERE id = ?');
+  stmt.bind([id]);
+  const row = stmt.step() ? stmt.getAsObject() : null;
+  stmt.free();
+  return row;
+};
+
 export const getAllPodcasts = () => {
   const stmt = db.prepare('SELECT id, url, title, cost_data, created_at, updated_at FROM podcasts ORDER BY created_at DESC');
   const rows = [];
@@ -134,6 +354,40 @@ export const getAllPodcasts = () => {
   return rows;
 };
 
+/**
+ * When each episode was last analyzed (pipeline, fingerprint match or reanalysis)
+ * Manual edits and reviews create versions too, but do not count here.
+ * @returns {Map<string, number>} url → ms
+ */
+export const getLastAnalysisTimes = () => {
+  const stmt = db.prepare(`
+    SELECT podcast_url, MAX(created_at) AS analyzed_at
+    FROM segment_versions
+    WHERE source IN ('process', 'fingerprint', 'reanalyze', 'migration')
+    GROUP BY podcast_url
+  `);
+  const times = new Map();
+  while (stmt.step()) {
+    const row = stmt.getAsObject();
+    times.set(row.podcast_url, row.analyzed_at);
+  }
+  stmt.free();
+  return times;
+};
+
+/**
+ * Active segments of every analyzed episode, e.g. for the review queue
+ */
+export const getAllPodcastSegments = () => {
+  const stmt = db.prepare('SELECT id, url, title, segments, active_version_id FROM podcasts ORDER BY created_at DESC');
+  const rows = [];
+  while (stmt.step()) {
+    rows.push(stmt.getAsObject());
+  }
+  stmt.free();
+  return rows;
+};
+
 export const trackRequestedUrl = (url) => {
   db.run(
     `INSERT INTO requested_urls (url)
@@ -143,7 +397,7 @@ export const trackRequestedUrl = (url) => {
        last_requested_at = CURRENT_TIMESTAMP`,
     [normalizeUrl(url)]
   );
-  saveDatabase();
+  scheduleSave();
 };
 
 export const isUrlRequested = (url) => {
@@ -174,16 +428,30 @@ export const deleteRequestedUrlByUrl = (url) => {
   saveDatabase();
 };
 
-export const savePodcast = (url, title, segments, costData = null) => {
+/**
+ * Store a detection result as a new version and make it the active one
+ * @param {Object} segments - { segments: [...] }
+ * @param {Object} version - { source, promptVersion, model, createdBy } of the run; model defaults to the one in costData
+ */
+export const savePodcast = (url, title, segments, costData = null, { source = 'process', promptVersion = null, model = costData?.gpt?.model ?? null, createdBy = null } = {}) => {
   try {
+    const normalized = normalizeUrl(url);
+    const segmentsJson = JSON.stringify(segments);
     db.run(
-      `INSERT INTO podcasts (url, title, segments, cost_data)
-       VALUES (?, ?, ?, ?)
+      `INSERT INTO segment_versions (podcast_url, segments, source, model, prompt_version, created_by, created_at) VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [normalized, segmentsJson, source, model, promptVersion, createdBy, Date.now()]
+    );
+    const versionId = db.exec('SELECT last_insert_rowid()')[0].values[0][0];
+
+    db.run(
+      `INSERT INTO podcasts (url, title, segments, cost_data, active_version_id)
+       VALUES (?, ?, ?, ?, ?)
        ON CONFLICT(url) DO UPDATE SET
          segments = excluded.segments,
          cost_data = excluded.cost_data,
+         active_version_id = excluded.active_version_id,
          updated_at = CURRENT_TIMESTAMP`,
-      [normalizeUrl(url), title, JSON.stringify(segments), costData ? JSON.stringify(costData) : null]
+      [normalized, title, segmentsJson, costData ? JSON.stringify(costData) : null, versionId]
     );
 
     saveDatabase();
@@ -192,3 +460,724 @@ export const savePodcast = (url, title, segments, costData = null) => {
     throw new Error(`Failed to save podcast: ${error.message}`);
   }
 };
+
+export const addFeed = (url, title = null) => {
+  db.run('INSERT INTO feeds (url, title) VALUES (?, ?)', [url, title]);
+  saveDatabase();
+  return getFeedByUrl(url);
+};
+
+export const getFeedByUrl = (url) => {
+  const stmt = db.prepare('SELECT * FROM feeds WHERE url = ?');
+  stmt.bind([url]);
+  const row = stmt.step() ? stmt.getAsObject() : null;
+  stmt.free();
+  return row;
+};
+
+export const getFeeds = () => {
+  const stmt = db.prepare(`
+    SELECT f.*, COUNT(e.id) AS episode_count
+    FROM feeds f
+    LEFT JOIN feed_episodes e ON e.feed_id = f.id
+    GROUP BY f.id
+    ORDER BY f.created_at DESC
+  `);
+  const rows = [];
+  while (stmt.step()) {
+    rows.push(stmt.getAsObject());
+  }
+  stmt.free();
+  return rows;
+};
+
+export const deleteFeed = (id) => {
+  db.run('DELETE FROM feed_episodes WHERE feed_id = ?', [id]);
+  db.run('DELETE FROM feeds WHERE id = ?', [id]);
+  const deleted = db.getRowsModified() > 0;
+  saveDatabase();
+  return deleted;
+};
+
+export const updateFeedStatus = (id, { title, error }) => {
+  db.run(
+    `UPDATE feeds SET
+       title = COALESCE(?, title),
+       last_error = ?,
+       last_checked_at = CURRENT_TIMESTAMP
+     WHERE id = ?`,
+    [title ?? null, error ?? null, id]
+  );
+  saveDatabase();
+};
+
+/**
+ * Marks feed items as seen and returns the ones that were not known before
+ */
+export const addFeedEpisodes = (feedId, items) => {
+  const inserted = [];
+  for (const item of items) {
+    const url = normalizeUrl(item.url);
+    db.run(
+      `INSERT OR IGNORE INTO feed_episodes (feed_id, guid, url, title, published_at)
+       VALUES (?, ?, ?, ?, ?)`,
+      [feedId, item.guid || null, url, item.title || null, item.publishedAt || null]
+    );
+    if (db.getRowsModified() > 0) inserted.push(item);
+  }
+  if (inserted.length > 0) saveDatabase();
+  return inserted;
+};
+
+export const createJob = (id, url, type = 'process', apiKeyId = null) => {
+  const now = Date.now();
+  db.run(
+    'INSERT INTO jobs (id, type, url, status, created_at, next_run_at, api_key_id) VALUES (?, ?, ?, ?, ?, ?, ?)',
+    [id, type, url, 'queued', now, now, apiKeyId]
+  );
+  saveDatabase();
+  return getJob(id);
+};
+
+export const getJob = (id) => {
+  const stmt = db.prepare('SELECT * FROM jobs WHERE id = ?');
+  stmt.bind([id]);
+  const row = stmt.step() ? stmt.getAsObject() : null;
+  stmt.free();
+  return row;
+};
+
+export const updateJob = (id, fields) => {
+  const columns = Object.keys(fields);
+  if (columns.length === 0) return;
+  db.run(
+    `UPDATE jobs SET ${columns.map(c => `${c} = ?`).join(', ')} WHERE id = ?`,
+    [...columns.map(c => fields[c] ?? null), id]
+  );
+  saveDatabase();
+};
+
+/**
+ * Number of jobs of a type an API key created since a point in time
+ */
+export const countJobsByApiKey = (apiKeyId, type, since) => {
+  const stmt = db.prepare('SELECT COUNT(*) AS count FROM jobs WHERE api_key_id = ? AND type = ? AND created_at >= ?');
+  stmt.bind([apiKeyId, type, since]);
+  stmt.step();
+  const { count } = stmt.getAsObject();
+  stmt.free();
+  return count;
+};
+
+/**
+ * Returns the queued, running or deferred job for a URL, if any
+ */
+export const findActiveJobByUrl = (url, type = 'process') => {
+  const normalized = normalizeUrl(url);
+  const stmt = db.prepare(`SELECT * FROM jobs WHERE type = ? AND status IN ('queued', 'running', 'deferred') ORDER BY created_at`);
+  stmt.bind([type]);
+  let found = null;
+  while (stmt.step()) {
+    const row = stmt.getAsObject();
+    if (normalizeUrl(row.url) === normalized) {
+      found = row;
+      break;
+    }
+  }
+  stmt.free();
+  return found;
+};
+
+/**
+ * Jobs that are queued, running or waiting for budget, running first
+ */
+export const getActiveJobs = () => {
+  const stmt = db.prepare(`SELECT * FROM jobs WHERE status IN ('queued', 'running', 'deferred') ORDER BY status != 'running', created_at`);
+  const jobs = [];
+  while (stmt.step()) {
+    jobs.push(stmt.getAsObject());
+  }
+  stmt.free();
+  return jobs;
+};
+
+/**
+ * Picks the oldest due job and marks it as running
+ */
+export const claimNextJob = () => {
+  const now = Date.now();
+  const stmt = db.prepare(`SELECT * FROM jobs WHERE status IN ('queued', 'deferred') AND next_run_at <= ? ORDER BY next_run_at, created_at LIMIT 1`);
+  stmt.bind([now]);
+  const job = stmt.step() ? stmt.getAsObject() : null;
+  stmt.free();
+  if (!job) return null;
+
+  db.run(
+    `UPDATE jobs SET status = 'running', attempts = attempts + 1, started_at = ?, error = NULL WHERE id = ?`,
+    [now, job.id]
+  );
+  saveDatabase();
+  return getJob(job.id);
+};
+
+/**
+ * Puts jobs that were interrupted by a restart back into the queue
+ */
+export const requeueInterruptedJobs = () => {
+  // Ein abgebrochener Lauf zählt nicht als Fehlversuch
+  db.run(
+    `UPDATE jobs SET status = 'queued', attempts = MAX(attempts - 1, 0), next_run_at = ? WHERE status = 'running'`,
+    [Date.now()]
+  );
+  const count = db.getRowsModified();
+  if (count > 0) saveDatabase();
+  return count;
+};
+
+export const addCommunitySegment = ({ url, start_ms, end_ms, category, description, submitterId }) => {
+  const podcastUrl = normalizeUrl(url);
+  db.run(
+    `INSERT INTO community_segments (podcast_url, start_ms, end_ms, category, description, submitter_id)
+     VALUES (?, ?, ?, ?, ?, ?)`,
+    [podcastUrl, start_ms, end_ms, category, description || null, submitterId]
+  );
+  const id = db.exec('SELECT last_insert_rowid()')[0].values[0][0];
+
+  // Einreichung zählt als Up-Vote des Einreichers
+  db.run(
+    'INSERT OR IGNORE INTO segment_votes (podcast_url, target, voter_id, vote) VALUES (?, ?, ?, 1)',
+    [podcastUrl, `community:${id}`, submitterId]
+  );
+  saveDatabase();
+  return getCommunitySegmentById(id);
+};
+
+export const getCommunitySegmentById = (id) => {
+  const stmt = db.prepare(`
+    SELECT s.*, COALESCE(SUM(v.vote), 0) AS score
+    FROM community_segments s
+    LEFT JOIN segment_votes v ON v.podcast_url = s.podcast_url AND v.target = 'community:' || s.id
+    WHERE s.id = ?
+    GROUP BY s.id
+  `);
+  stmt.bind([id]);
+  const row = stmt.step() ? stmt.getAsObject() : null;
+  stmt.free();
+  return row;
+};
+
+export const getCommunitySegments = (url) => {
+  const stmt = db.prepare(`
+    SELECT s.*, COALESCE(SUM(v.vote), 0) AS score
+    FROM community_segments s
+    LEFT JOIN segment_votes v ON v.podcast_url = s.podcast_url AND v.target = 'community:' || s.id
+    WHERE s.podcast_url = ?
+    GROUP BY s.id
+    ORDER BY s.start_ms
+  `);
+  stmt.bind([normalizeUrl(url)]);
+  const rows = [];
+  while (stmt.step()) {
+    rows.push(stmt.getAsObject());
+  }
+  stmt.free();
+  return rows;
+};
+
+/**
+ * Sets (or changes) a voter's vote on a segment
+ * @returns {number} New score of the target
+ */
+export const voteSegment = (url, target, voterId, vote) => {
+  const podcastUrl = normalizeUrl(url);
+  db.run(
+    `INSERT INTO segment_votes (podcast_url, target, voter_id, vote)
+     VALUES (?, ?, ?, ?)
+     ON CONFLICT(podcast_url, target, voter_id) DO UPDATE SET
+       vote = excluded.vote,
+       created_at = CURRENT_TIMESTAMP`,
+    [podcastUrl, target, voterId, vote]
+  );
+  saveDatabase();
+  return getSegmentScores(url)[target] || 0;
+};
+
+/**
+ * Vote totals per target for an episode: { 'ai:1000-5000': -2, 'community:3': 4 }
+ */
+export const getSegmentScores = (url) => {
+  const stmt = db.prepare('SELECT target, SUM(vote) AS score FROM segment_votes WHERE podcast_url = ? GROUP BY target');
+  stmt.bind([normalizeUrl(url)]);
+  const scores = {};
+  while (stmt.step()) {
+    const row = stmt.getAsObject();
+    scores[row.target] = row.score;
+  }
+  stmt.free();
+  return scores;
+};
+
+export const getAdFingerprints = () => {
+  const stmt = db.prepare('SELECT * FROM ad_fingerprints ORDER BY id');
+  const rows = [];
+  while (stmt.step()) {
+    rows.push(stmt.getAsObject());
+  }
+  stmt.free();
+  return rows;
+};
+
+export const listAdFingerprints = () => {
+  const stmt = db.prepare(`
+    SELECT id, podcast_url, start_ms, end_ms, category, description, created_at
+    FROM ad_fingerprints ORDER BY created_at DESC
+  `);
+  const rows = [];
+  while (stmt.step()) {
+    rows.push(stmt.getAsObject());
+  }
+  stmt.free();
+  return rows;
+};
+
+/**
+ * Stores an ad fingerprint unless the same episode already has one for an overlapping range
+ * @returns {Object|null} New row or null if it was a duplicate
+ */
+export const addAdFingerprint = ({ url, start_ms, end_ms, category, description, hashes }) => {
+  const podcastUrl = normalizeUrl(url);
+  const stmt = db.prepare('SELECT 1 FROM ad_fingerprints WHERE podcast_url = ? AND start_ms < ? AND end_ms > ? LIMIT 1');
+  stmt.bind([podcastUrl, end_ms, start_ms]);
+  const exists = stmt.step();
+  stmt.free();
+  if (exists) return null;
+
+  db.run(
+    `INSERT INTO ad_fingerprints (podcast_url, start_ms, end_ms, category, description, hashes)
+     VALUES (?, ?, ?, ?, ?, ?)`,
+    [podcastUrl, start_ms, end_ms, category, description || null, hashes]
+  );
+  const id = db.exec('SELECT last_insert_rowid()')[0].values[0][0];
+  saveDatabase();
+  return { id, podcast_url: podcastUrl, start_ms, end_ms, category, description };
+};
+
+export const deleteAdFingerprint = (id) => {
+  db.run('DELETE FROM ad_fingerprints WHERE id = ?', [id]);
+  const deleted = db.getRowsModified() > 0;
+  saveDatabase();
+  return deleted;
+};
+
+export const getAudioVariants = (url) => {
+  const stmt = db.prepare('SELECT * FROM audio_variants WHERE podcast_url = ? ORDER BY id');
+  stmt.bind([normalizeUrl(url)]);
+  const rows = [];
+  while (stmt.step()) {
+    rows.push(stmt.getAsObject());
+  }
+  stmt.free();
+  return rows;
+};
+
+/**
+ * Record a downloaded variant of an episode (same hash → updated)
+ * @param {Object} variant - { url, durationMs, contentHash, alignment, reliable }
+ */
+export const saveAudioVariant = ({ url, durationMs, contentHash, alignment = null, reliable = true }) => {
+  db.run(
+    `INSERT INTO audio_variants (podcast_url, duration_ms, content_hash, alignment, reliable)
+     VALUES (?, ?, ?, ?, ?)
+     ON CONFLICT(podcast_url, content_hash) DO UPDATE SET
+       duration_ms = excluded.duration_ms,
+       alignment = excluded.alignment,
+       reliable = excluded.reliable`,
+    [normalizeUrl(url), durationMs, contentHash, alignment ? JSON.stringify(alignment) : null, reliable ? 1 : 0]
+  );
+  saveDatabase();
+};
+
+export const deleteAudioVariants = (url) => {
+  db.run('DELETE FROM audio_variants WHERE podcast_url = ?', [normalizeUrl(url)]);
+  db.run('DELETE FROM audio_variant_requests WHERE podcast_url = ?', [normalizeUrl(url)]);
+  saveDatabase();
+};
+
+export const getAudioVariantRequests = (url) => {
+  const stmt = db.prepare('SELECT duration_ms FROM audio_variant_requests WHERE podcast_url = ? ORDER BY id');
+  stmt.bind([normalizeUrl(url)]);
+  const durations = [];
+  while (stmt.step()) {
+    durations.push(stmt.getAsObject().duration_ms);
+  }
+  stmt.free();
+  return durations;
+};
+
+export const addAudioVariantRequest = (url, durationMs) => {
+  db.run('INSERT OR IGNORE INTO audio_variant_requests (podcast_url, duration_ms) VALUES (?, ?)', [normalizeUrl(url), durationMs]);
+  saveDatabase();
+};
+
+export const addApiKey = ({ name, role, keyHash, keyPrefix, dailyQuota = null }) => {
+  db.run(
+    'INSERT INTO api_keys (name, key_hash, key_prefix, role, daily_quota) VALUES (?, ?, ?, ?, ?)',
+    [name, keyHash, keyPrefix, role, dailyQuota]
+  );
+  const id = db.exec('SELECT last_insert_rowid()')[0].values[0][0];
+  saveDatabase();
+  return id;
+};
+
+export const getApiKeyByHash = (keyHash) => {
+  const stmt = db.prepare('SELECT id, name, role, daily_quota FROM api_keys WHERE key_hash = ? AND revoked_at IS NULL');
+  stmt.bind([keyHash]);
+  const row = stmt.step() ? stmt.getAsObject() : null;
+  stmt.free();
+  return row;
+};
+
+export const getApiKeys = () => {
+  const stmt = db.prepare(`
+    SELECT id, name, key_prefix, role, daily_quota, created_at, last_used_at, revoked_at
+    FROM api_keys ORDER BY created_at DESC
+  `);
+  const rows = [];
+  while (stmt.step()) {
+    rows.push(stmt.getAsObject());
+  }
+  stmt.free();
+  return rows;
+};
+
+export const touchApiKey = (id) => {
+  db.run('UPDATE api_keys SET last_used_at = CURRENT_TIMESTAMP WHERE id = ?', [id]);
+  scheduleSave();
+};
+
+export const revokeApiKey = (id) => {
+  db.run('UPDATE api_keys SET revoked_at = CURRENT_TIMESTAMP WHERE id = ? AND revoked_at IS NULL', [id]);
+  const revoked = db.getRowsModified() > 0;
+  saveDatabase();
+  return revoked;
+};
+
+function insertCostEntry(jobId, url, costData, estimatedCost, createdAt) {
+  db.run(
+    `INSERT INTO cost_ledger (job_id, podcast_url, whisper_cost, llm_cost, total_cost, estimated_cost, created_at,
+       whisper_seconds, input_tokens, output_tokens, model, pricing_version)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      jobId, normalizeUrl(url), costData.whisper.cost, costData.gpt.cost, costData.totalCost, estimatedCost ?? null, createdAt,
+      costData.whisper.totalSeconds, costData.gpt.inputTokens, costData.gpt.outputTokens,
+      costData.gpt.model || null, costData.pricingVersion || null,
+    ]
+  );
+}
+
+/**
+ * Book the actual cost of a pipeline run
+ * @param {Object} entry - { jobId, url, costData, estimatedCost }
+ */
+export const addCostEntry = ({ jobId, url, costData, estimatedCost }) => {
+  insertCostEntry(jobId, url, costData, estimatedCost, Date.now());
+  saveDatabase();
+};
+
+// Podcasts, die vor dem Kostenbuch analysiert wurden, einmalig aus cost_data übernehmen
+function backfillCostLedger() {
+  const stmt = db.prepare(`
+    SELECT url, cost_data, created_at FROM podcasts
+    WHERE cost_data IS NOT NULL AND url NOT IN (SELECT podcast_url FROM cost_ledger)
+  `);
+  const rows = [];
+  while (stmt.step()) {
+    rows.push(stmt.getAsObject());
+  }
+  stmt.free();
+
+  for (const row of rows) {
+    try {
+      const costData = JSON.parse(row.cost_data);
+      // SQLite CURRENT_TIMESTAMP ist UTC ohne Zeitzonenangabe
+      insertCostEntry(null, row.url, costData, null, Date.parse(row.created_at.replace(' ', 'T') + 'Z'));
+    } catch (e) {
+      console.error(`[DB] Could not backfill costs for ${row.url}:`, e.message);
+    }
+  }
+  if (rows.length > 0) console.log(`[DB] Backfilled ${rows.length} cost ledger entries`);
+}
+
+/**
+ * Create a first version for episodes analyzed before versioning existed
+ */
+function backfillSegmentVersions() {
+  const stmt = db.prepare('SELECT url, segments, cost_data, updated_at FROM podcasts WHERE active_version_id IS NULL');
+  const rows = [];
+  while (stmt.step()) {
+    rows.push(stmt.getAsObject());
+  }
+  stmt.free();
+
+  for (const row of rows) {
+    let model = null;
+    try {
+      model = JSON.parse(row.cost_data)?.gpt?.model ?? null;
+    } catch {}
+    db.run(
+      `INSERT INTO segment_versions (podcast_url, segments, source, model, created_at) VALUES (?, ?, 'migration', ?, ?)`,
+      [normalizeUrl(row.url), row.segments, model, Date.parse(row.updated_at.replace(' ', 'T') + 'Z')]
+    );
+    const versionId = db.exec('SELECT last_insert_rowid()')[0].values[0][0];
+    db.run('UPDATE podcasts SET active_version_id = ? WHERE url = ?', [versionId, row.url]);
+  }
+  if (rows.length > 0) console.log(`[DB] Created initial segment versions for ${rows.length} podcast(s)`);
+}
+
+/**
+ * Take over the entries of the old whitelist.json
+ * They were matched as plain substrings of the URL; an escaped regex keeps that behavior.
+ */
+function importWhitelistFile() {
+  const path = join(__dirname, 'whitelist.json');
+  if (!existsSync(path)) return;
+
+  let hosts = [];
+  try {
+    hosts = JSON.parse(readFileSync(path, 'utf-8')).hosts || [];
+  } catch (e) {
+    console.error('[DB] Could not read whitelist.json:', e.message);
+    return;
+  }
+
+  const now = Date.now();
+  for (const host of hosts) {
+    if (!host.name || !host.match) continue;
+    db.run(
+      `INSERT OR IGNORE INTO whitelist_rules (name, match_type, pattern, note, created_at) VALUES (?, 'regex', ?, ?, ?)`,
+      [host.name, host.match.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), `Aus whitelist.json übernommen (URL enthält "${host.match}")`, now]
+    );
+  }
+  if (hosts.length > 0) console.log(`[DB] Imported ${hosts.length} whitelist entr${hosts.length === 1 ? 'y' : 'ies'} from whitelist.json`);
+}
+
+function parseWhitelistRule(row) {
+  return { ...row, categories: row.categories ? JSON.parse(row.categories) : null };
+}
+
+export const getWhitelistRules = () => {
+  const stmt = db.prepare('SELECT * FROM whitelist_rules ORDER BY name COLLATE NOCASE, id');
+  const rows = [];
+  while (stmt.step()) {
+    rows.push(parseWhitelistRule(stmt.getAsObject()));
+  }
+  stmt.free();
+  return rows;
+};
+
+export const getWhitelistRule = (id) => {
+  const stmt = db.prepare('SELECT * FROM whitelist_rules WHERE id = ?');
+  stmt.bind([id]);
+  const row = stmt.step() ? parseWhitelistRule(stmt.getAsObject()) : null;
+  stmt.free();
+  return row;
+};
+
+/**
+ * @returns {number|null} ID of the new rule, null if the same match_type/pattern exists
+ */
+export const addWhitelistRule = ({ name, matchType, pattern, categories = null, expiresAt = null, note = null }) => {
+  db.run(
+    `INSERT OR IGNORE INTO whitelist_rules (name, match_type, pattern, categories, expires_at, note, created_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?)`,
+    [name, matchType, pattern, categories ? JSON.stringify(categories) : null, expiresAt, note, Date.now()]
+  );
+  if (db.getRowsModified() === 0) return null;
+  const id = db.exec('SELECT last_insert_rowid()')[0].values[0][0];
+  saveDatabase();
+  return id;
+};
+
+/**
+ * Change name, categories, expiry or note of a rule (undefined = keep)
+ */
+export const updateWhitelistRule = (id, { name, categories, expiresAt, note }) => {
+  const fields = [];
+  const values = [];
+  if (name !== undefined) { fields.push('name = ?'); values.push(name); }
+  if (categories !== undefined) { fields.push('categories = ?'); values.push(categories ? JSON.stringify(categories) : null); }
+  if (expiresAt !== undefined) { fields.push('expires_at = ?'); values.push(expiresAt); }
+  if (note !== undefined) { fields.push('note = ?'); values.push(note); }
+  if (fields.length === 0) return !!getWhitelistRule(id);
+
+  db.run(`UPDATE whitelist_rules SET ${fields.join(', ')} WHERE id = ?`, [...values, id]);
+  const changed = db.getRowsModified() > 0;
+  if (changed) saveDatabase();
+  return changed;
+};
+
+export const deleteWhitelistRule = (id) => {
+  db.run('DELETE FROM whitelist_rules WHERE id = ?', [id]);
+  const deleted = db.getRowsModified() > 0;
+  if (deleted) saveDatabase();
+  return deleted;
+};
+
+/**
+ * URLs of the subscribed feeds an episode appeared in
+ */
+export const getEpisodeFeedUrls = (url) => {
+  const stmt = db.prepare('SELECT DISTINCT f.url FROM feed_episodes e JOIN feeds f ON f.id = e.feed_id WHERE e.url = ?');
+  stmt.bind([normalizeUrl(url)]);
+  const urls = [];
+  while (stmt.step()) {
+    urls.push(stmt.getAsObject().url);
+  }
+  stmt.free();
+  return urls;
+};
+
+/**
+ * All detection versions of an episode, newest first (without the segments)
+ */
+export const getSegmentVersions = (url) => {
+  const stmt = db.prepare(`
+    SELECT v.id, v.source, v.model, v.prompt_version, v.created_by, v.created_at, v.segments,
+           (p.active_version_id = v.id) AS active
+    FROM segment_versions v
+    LEFT JOIN podcasts p ON p.url = v.podcast_url
+    WHERE v.podcast_url = ?
+    ORDER BY v.id DESC
+  `);
+  stmt.bind([normalizeUrl(url)]);
+  const rows = [];
+  while (stmt.step()) {
+    const { segments, active, ...row } = stmt.getAsObject();
+    rows.push({ ...row, active: active === 1, segment_count: (JSON.parse(segments).segments || []).length });
+  }
+  stmt.free();
+  return rows;
+};
+
+export const getSegmentVersion = (id) => {
+  const stmt = db.prepare('SELECT * FROM segment_versions WHERE id = ?');
+  stmt.bind([id]);
+  const row = stmt.step() ? stmt.getAsObject() : null;
+  stmt.free();
+  return row;
+};
+
+/**
+ * Serve an earlier (or later) version again, e.g. to roll back a bad model change
+ * cost_data stays as is, it describes the last run.
+ */
+export const activateSegmentVersion = (url, versionId) => {
+  db.run(
+    `UPDATE podcasts SET segments = (SELECT segments FROM segment_versions WHERE id = ?), active_version_id = ?, updated_at = CURRENT_TIMESTAMP
+     WHERE url = ? AND EXISTS (SELECT 1 FROM segment_versions WHERE id = ? AND podcast_url = ?)`,
+    [versionId, versionId, normalizeUrl(url), versionId, normalizeUrl(url)]
+  );
+  const changed = db.getRowsModified() > 0;
+  if (changed) saveDatabase();
+  return changed;
+};
+
+/**
+ * Cost ledger entries in a time range (ms, to exclusive)
+ */
+export const getCostEntries = ({ from = 0, to = Number.MAX_SAFE_INTEGER } = {}) => {
+  const stmt = db.prepare('SELECT * FROM cost_ledger WHERE created_at >= ? AND created_at < ? ORDER BY created_at');
+  stmt.bind([from, to]);
+  const rows = [];
+  while (stmt.step()) {
+    rows.push(stmt.getAsObject());
+  }
+  stmt.free();
+  return rows;
+};
+
+/**
+ * Total spent since a point in time (ms)
+ */
+export const getSpentSince = (since) => {
+  const stmt = db.prepare('SELECT COALESCE(SUM(total_cost), 0) AS spent FROM cost_ledger WHERE created_at >= ?');
+  stmt.bind([since]);
+  stmt.step();
+  const { spent } = stmt.getAsObject();
+  stmt.free();
+  return spent;
+};
+
+/**
+ * Replace the stored transcript of an episode
+ * @param {string} url - Episode URL
+ * @param {Object[]} segments - [{ start_ms, end_ms, text, words? }]
+ * @param {Object} options - { deferSave } for bulk imports
+ */
+export const saveTranscript = (url, segments, { deferSave = false } = {}) => {
+  const podcastUrl = normalizeUrl(url);
+  db.run('DELETE FROM transcript_fts WHERE rowid IN (SELECT id FROM transcript_segments WHERE podcast_url = ?)', [podcastUrl]);
+  db.run('DELETE FROM transcript_segments WHERE podcast_url = ?', [podcastUrl]);
+
+  const insert = db.prepare('INSERT INTO transcript_segments (podcast_url, start_ms, end_ms, text, words) VALUES (?, ?, ?, ?, ?)');
+  const index = db.prepare('INSERT INTO transcript_fts (rowid, text) VALUES (last_insert_rowid(), ?)');
+  for (const seg of segments) {
+    const text = seg.text.trim();
+    if (!text) continue;
+    insert.run([podcastUrl, seg.start_ms, seg.end_ms, text, seg.words?.length ? JSON.stringify(seg.words) : null]);
+    index.run([text]);
+  }
+  insert.free();
+  index.free();
+
+  if (deferSave) scheduleSave();
+  else saveDatabase();
+};
+
+export const hasTranscript = (url) => {
+  const stmt = db.prepare('SELECT 1 FROM transcript_segments WHERE podcast_url = ? LIMIT 1');
+  stmt.bind([normalizeUrl(url)]);
+  const found = stmt.step();
+  stmt.free();
+  return found;
+};
+
+export const getTranscript = (url) => {
+  const stmt = db.prepare('SELECT start_ms, end_ms, text, words FROM transcript_segments WHERE podcast_url = ? ORDER BY start_ms');
+  stmt.bind([normalizeUrl(url)]);
+  const rows = [];
+  while (stmt.step()) {
+    const row = stmt.getAsObject();
+    rows.push({ ...row, words: row.words ? JSON.parse(row.words) : null });
+  }
+  stmt.free();
+  return rows;
+};
+
+/**
+ * Full-text search over all transcripts (FTS4 MATCH syntax: "phrase", OR, prefix*)
+ * Throws on a malformed query.
+ * @returns {Object[]} [{ podcast_id, podcast_url, title, start_ms, end_ms, snippet }]
+ */
+export const searchTranscripts = (query, limit = 100) => {
+  const stmt = db.prepare(`
+    SELECT p.id AS podcast_id, s.podcast_url, p.title, s.start_ms, s.end_ms,
+           snippet(transcript_fts, '[', ']', '…', -1, 16) AS snippet
+    FROM transcript_fts
+    JOIN transcript_segments s ON s.id = transcript_fts.rowid
+    LEFT JOIN podcasts p ON p.url = s.podcast_url
+    WHERE transcript_fts MATCH ?
+    ORDER BY s.podcast_url, s.start_ms
+    LIMIT ?
+  `);
+  stmt.bind([query, limit]);
+  const rows = [];
+  try {
+    while (stmt.step()) {
+      rows.push(stmt.getAsObject());
+    }
+  } finally {
+    stmt.free();
+  }
+  return rows;
+};
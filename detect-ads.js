@@ -1,17 +1,9 @@
-import OpenAI from 'openai';
 import { writeFile } from 'fs/promises';
 import { join } from 'path';
-
-let openai;
-
-function getOpenAIClient() {
-  if (!openai) {
-    openai = new OpenAI({
-      apiKey: process.env.OPENAI_API_KEY
-    });
-  }
-  return openai;
-}
+import { completeJson, getLLMConfig } from './llm.js';
+import { flattenWords, resolveWordBoundaries } from './word-timestamps.js';
+import { SEGMENT_CATEGORIES, AD_CATEGORIES } from './categories.js';
+import { scoreSegments } from './confidence.js';
 
 /**
  * Splits segments into chunks of ~chunkDurationSec with overlapSec overlap
@@ -41,20 +33,35 @@ function splitIntoChunks(segments, chunkDurationSec = 1200, overlapSec = 30) {
 }
 
 /**
- * Merges overlapping or close ad segments (< gapThresholdMs apart)
+ * Merges overlapping or close segments of the same category
+ * Ads less than gapThresholdMs apart become one block; intros, recaps etc.
+ * only merge when they overlap (e.g. from the chunk overlap), the gap
+ * between them is content.
  */
 function mergeAdSegments(allSegments, gapThresholdMs = 30000) {
-  if (allSegments.length === 0) return [];
+  const merged = [];
+  for (const category of new Set(allSegments.map(seg => seg.category))) {
+    const gap = AD_CATEGORIES.includes(category) ? gapThresholdMs : 0;
+    merged.push(...mergeCategory(allSegments.filter(seg => seg.category === category), gap));
+  }
+  return merged.sort((a, b) => a.start_ms - b.start_ms);
+}
 
-  const sorted = [...allSegments].sort((a, b) => a.start_ms - b.start_ms);
+function mergeCategory(segments, gapThresholdMs) {
+  const sorted = [...segments].sort((a, b) => a.start_ms - b.start_ms);
   const merged = [{ ...sorted[0] }];
 
   for (let i = 1; i < sorted.length; i++) {
     const current = sorted[i];
     const last = merged[merged.length - 1];
 
-    if (current.start_ms <= last.end_ms + gapThresholdMs && current.category === last.category) {
-      last.end_ms = Math.max(last.end_ms, current.end_ms);
+    if (current.start_ms <= last.end_ms + gapThresholdMs) {
+      if (current.end_ms > last.end_ms) {
+        last.end_ms = current.end_ms;
+        if (!current.word_aligned) delete last.word_aligned;
+      }
+      last.chunks = [...new Set([...last.chunks, ...current.chunks])];
+      if (typeof current.confidence === 'number') last.confidence = Math.max(last.confidence ?? 0, current.confidence);
       if (current.description && !last.description.includes(current.description)) {
         last.description += ' / ' + current.description;
       }
@@ -66,13 +73,40 @@ function mergeAdSegments(allSegments, gapThresholdMs = 30000) {
   return merged;
 }
 
+// Bei jeder Änderung am Prompt hochzählen; wird mit jeder Segment-Version gespeichert
+export const PROMPT_VERSION = '2026-10c';
+
+const CHUNK_DURATION_SEC = 600; // 10 minutes
+const OVERLAP_SEC = 30;
+const GAP_THRESHOLD_MS = 30000;
+
+// Erfahrungswerte für Kostenschätzungen: Prompt ohne Transkript, Transkript
+// mit Zeitstempeln pro Minute Audio (deutsch) und Antwort pro Chunk
+const PROMPT_TOKENS = 950;
+const TRANSCRIPT_TOKENS_PER_MINUTE = 350;
+const OUTPUT_TOKENS_PER_CHUNK = 300;
+
 /**
- * Detect advertisement segments using GPT-4, chunked by ~20 minutes with 30s overlap
+ * Estimate the tokens detectAdSegments will use for an episode
+ * @param {number} durationSeconds - Episode duration
+ * @returns {Object} { chunks, inputTokens, outputTokens }
  */
-export async function detectAdSegments(transcription, episodeDir = null) {
-  const CHUNK_DURATION_SEC = 600; // 10 minutes
-  const OVERLAP_SEC = 30;
-  const GAP_THRESHOLD_MS = 30000;
+export function estimateDetectionTokens(durationSeconds) {
+  const chunks = Math.max(1, Math.ceil((durationSeconds - OVERLAP_SEC) / (CHUNK_DURATION_SEC - OVERLAP_SEC)));
+  // Überlappung wird doppelt gesendet
+  const transcriptMinutes = (durationSeconds + (chunks - 1) * OVERLAP_SEC) / 60;
+  return {
+    chunks,
+    inputTokens: Math.round(chunks * PROMPT_TOKENS + transcriptMinutes * TRANSCRIPT_TOKENS_PER_MINUTE),
+    outputTokens: chunks * OUTPUT_TOKENS_PER_CHUNK,
+  };
+}
+
+/**
+ * Detect advertisement segments using the configured LLM, chunked by ~10 minutes with 30s overlap
+ * options.onProgress is called with (done, total) chunks
+ */
+export async function detectAdSegments(transcription, episodeDir = null, { onProgress } = {}) {
 
   console.log('Analyzing transcription for advertisement segments...');
   console.log(`Total segments: ${transcription.segments.length}`);
@@ -80,14 +114,19 @@ export async function detectAdSegments(transcription, episodeDir = null) {
   const chunks = splitIntoChunks(transcription.segments, CHUNK_DURATION_SEC, OVERLAP_SEC);
   console.log(`Split into ${chunks.length} chunk(s) of ~${CHUNK_DURATION_SEC / 60} minutes`);
 
-  const client = getOpenAIClient();
-  const model = process.env.OPENAI_MODEL || 'gpt-4-turbo';
-  console.log(`Using model: ${model}`);
+  const { provider, model } = getLLMConfig();
+  console.log(`Using model: ${model} (${provider})`);
+
+  // Mit Wort-Zeitstempeln werden die vom LLM zitierten ersten/letzten Wörter auf ms genau aufgelöst
+  const words = flattenWords(transcription.segments);
+  if (words.length === 0) console.log('No word timestamps, using segment times');
 
   const allAdSegments = [];
   const allResponses = [];
   let totalInputTokens = 0;
   let totalOutputTokens = 0;
+  let gptCost = 0;
+  onProgress?.(0, chunks.length);
 
   for (let i = 0; i < chunks.length; i++) {
     const chunk = chunks[i];
@@ -98,12 +137,12 @@ export async function detectAdSegments(transcription, episodeDir = null) {
       return `${formatTime(seg.start)} - ${formatTime(seg.end)}: ${seg.text}`;
     }).join('\n');
 
-    const prompt = `Analysiere das folgende Podcast-Transkript und identifiziere alle Werbesegmente.
+    const prompt = `Analysiere das folgende Podcast-Transkript und identifiziere alle Werbesegmente sowie Abschnitte, die Hörer typischerweise überspringen.
 
 Transkript mit Zeitstempeln:
 ${segmentDetails}
 
-Gebe mir eine Liste aller Werbesegmente zurück. Unterscheide dabei zwei Kategorien:
+Gebe mir eine Liste aller solchen Segmente zurück. Unterscheide dabei folgende Kategorien:
 
 1. "sponsor" - Externe Werbung/Sponsoren:
    - Produkt- oder Firmenwerbung (z.B. NordVPN, Vodafone, etc.)
@@ -117,6 +156,27 @@ Gebe mir eine Liste aller Werbesegmente zurück. Unterscheide dabei zwei Kategor
    - Hinweise auf eigene Produkte, Newsletter, andere eigene Podcasts
    - "Werde Mitglied unter ...", "Unterstütze uns unter ..."
 
+3. "merch" - Merch, Tickets und Live-Shows:
+   - Hinweise auf Fanartikel, Bücher oder Shop des Podcasts
+   - Tourdaten, Live-Shows, Ticketverkauf
+
+4. "intro" - Intro der Folge:
+   - Jingle, Begrüßung und feste Eröffnungsformel vor dem eigentlichen Thema
+   - Nicht die inhaltliche Einleitung ins Thema
+
+5. "outro" - Outro der Folge:
+   - Verabschiedung, Abspann, Credits und Jingle am Ende
+
+6. "recap" - Rückblick:
+   - "Was bisher geschah", Zusammenfassung früherer Folgen
+
+7. "preview" - Vorschau:
+   - Ausblick oder Trailer auf die nächste Folge oder andere Inhalte
+
+Ein Werbesegment innerhalb des Intros oder Outros wird zusätzlich als eigenes Segment mit seiner Werbekategorie angegeben.
+
+Gib zu jedem Segment an, wie sicher du dir bist: nahe 1.0 bei ausdrücklicher Ansage ("Werbung", "unterstützt von") oder eindeutigem Produkt mit Rabattcode, um 0.5 bei Vermutungen ohne klare Ansage.
+
 Wichtig für den Übergang: Wenn ein Satz thematisch nicht zum Gespräch davor passt und stattdessen ein Produkt oder eine Dienstleistung beschreibt, gehört er zum Werbesegment — auch wenn kein explizites "Werbung" gesagt wurde.
 
 Antworte ausschließlich mit einem JSON-Array im folgenden Format (keine Erklärungen):
@@ -125,46 +185,52 @@ Antworte ausschließlich mit einem JSON-Array im folgenden Format (keine Erklär
     {
       "start_ms": <Start in Millisekunden>,
       "end_ms": <Ende in Millisekunden>,
-      "category": "sponsor" | "eigenwerbung",
-      "description": "<Kurze Beschreibung der Werbung>"
+      "category": ${SEGMENT_CATEGORIES.map(c => `"${c}"`).join(' | ')},
+      "description": "<Kurze Beschreibung des Segments>",
+      "first_words": "<Die ersten 3-6 Wörter des Segments, wörtlich aus dem Transkript>",
+      "last_words": "<Die letzten 3-6 Wörter des Segments, wörtlich aus dem Transkript>",
+      "confidence": <Wie sicher du dir bist, 0.0 bis 1.0>
     }
   ]
 }
 
-Wenn keine Werbung gefunden wurde, gebe ein leeres Array zurück: {"segments": []}`;
-
-    const completion = await client.chat.completions.create({
-      model,
-      messages: [
-        {
-          role: 'system',
-          content: 'Du bist ein Experte für Podcast-Analyse und erkennst zuverlässig Werbesegmente. Antworte immer mit validem JSON.'
-        },
-        { role: 'user', content: prompt }
-      ],
-      temperature: 0.3,
-      response_format: { type: 'json_object' }
-    });
-
-    const response = completion.choices[0].message.content;
-    const chunkResult = JSON.parse(response);
-    const found = chunkResult.segments || [];
-
-    totalInputTokens += completion.usage?.prompt_tokens || 0;
-    totalOutputTokens += completion.usage?.completion_tokens || 0;
-
-    console.log(`  ${chunkLabel}: ${found.length} segment(s) found (tokens: ${completion.usage?.total_tokens || '?'})`);
-    allAdSegments.push(...found);
+Wenn nichts davon gefunden wurde, gebe ein leeres Array zurück: {"segments": []}`;
+
+    const completion = await completeJson([
+      {
+        role: 'system',
+        content: 'Du bist ein Experte für Podcast-Analyse und erkennst zuverlässig Werbesegmente. Antworte immer mit validem JSON.'
+      },
+      { role: 'user', content: prompt }
+    ], { temperature: 0.3 });
+
+    const response = completion.raw;
+    const segments = completion.data.segments || [];
+    const found = segments.filter(seg => SEGMENT_CATEGORIES.includes(seg.category));
+    if (found.length < segments.length) {
+      console.log(`  ${chunkLabel}: ignoring ${segments.length - found.length} segment(s) with unknown category`);
+    }
+
+    totalInputTokens += completion.inputTokens;
+    totalOutputTokens += completion.outputTokens;
+    gptCost += completion.cost;
+
+    console.log(`  ${chunkLabel}: ${found.length} segment(s) found (tokens: ${completion.inputTokens + completion.outputTokens})`);
+    allAdSegments.push(...found.map(seg => ({ ...resolveWordBoundaries(seg, words), chunks: [i] })));
     allResponses.push({ chunkLabel, response });
+    onProgress?.(i + 1, chunks.length);
   }
 
-  const mergedSegments = mergeAdSegments(allAdSegments, GAP_THRESHOLD_MS);
+  const mergedSegments = scoreSegments(mergeAdSegments(allAdSegments, GAP_THRESHOLD_MS), {
+    transcriptSegments: transcription.segments,
+    chunks,
+  });
   console.log(`\nFound ${allAdSegments.length} raw segment(s), merged to ${mergedSegments.length}`);
 
   if (episodeDir) {
     const responsePath = join(episodeDir, 'ad_detection_response.txt');
     const formattedResponse = [
-      `=== GPT-4 Ad Detection Response ===`,
+      `=== LLM Ad Detection Response ===`,
       `Model: ${model}`,
       `Timestamp: ${new Date().toISOString()}`,
       ``,
@@ -177,11 +243,10 @@ Wenn keine Werbung gefunden wurde, gebe ein leeres Array zurück: {"segments": [
     console.log(`✓ GPT response saved: ${responsePath}`);
   }
 
-  // GPT-4-turbo: $10/1M input, $30/1M output
-  const gptCost = (totalInputTokens / 1_000_000) * 10 + (totalOutputTokens / 1_000_000) * 30;
+  // Preis pro Modell aus MODEL_PRICING in llm.js
   console.log(`GPT cost: $${gptCost.toFixed(4)} (${totalInputTokens} in, ${totalOutputTokens} out tokens)`);
 
-  return { segments: mergedSegments, gptCost, inputTokens: totalInputTokens, outputTokens: totalOutputTokens };
+  return { segments: mergedSegments, gptCost, model, promptVersion: PROMPT_VERSION, inputTokens: totalInputTokens, outputTokens: totalOutputTokens };
 }
 
 /**
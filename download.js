@@ -64,22 +64,45 @@ function extractPodcastInfo(url) {
   }
 }
 
+/**
+ * Is the value an absolute http(s) URL?
+ */
+export function isHttpUrl(value) {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Get the directory an episode's files live in
+ * @param {string} url - The podcast episode URL
+ * @returns {string} downloads/PodcastName/EpisodeName/
+ */
+export function getEpisodeDir(url) {
+  const { podcastName, episodeName } = extractPodcastInfo(url);
+  return join(DOWNLOADS_DIR, podcastName, episodeName);
+}
+
 /**
  * Download podcast episode from URL
  * Creates directory structure: downloads/PodcastName/EpisodeName/
  * @param {string} url - The podcast episode URL
+ * @param {Object} options - { filename } to download next to (not over) a running pipeline's file,
+ *   { onProgress } called with ({ received, total }) bytes while downloading; total is null without Content-Length
  * @returns {Promise<Object>} { filepath, episodeDir }
  */
-export async function downloadPodcast(url) {
+export async function downloadPodcast(url, options = {}) {
   try {
-    const { podcastName, episodeName } = extractPodcastInfo(url);
+    const { episodeName } = extractPodcastInfo(url);
 
     // Create directory structure: downloads/PodcastName/EpisodeName/
-    const episodeDir = join(DOWNLOADS_DIR, podcastName, episodeName);
+    const episodeDir = getEpisodeDir(url);
     await mkdir(episodeDir, { recursive: true });
 
     // Create filename with timestamp
-    const filename = `${episodeName}.mp3`;
+    const filename = options.filename || `${episodeName}.mp3`;
     const filepath = join(episodeDir, filename);
 
     console.log(`Downloading podcast from: ${url}`);
@@ -100,6 +123,16 @@ export async function downloadPodcast(url) {
 
     const writer = createWriteStream(filepath);
 
+    if (options.onProgress) {
+      const total = parseInt(response.headers['content-length'], 10) || null;
+      let received = 0;
+      options.onProgress({ received, total });
+      response.data.on('data', (chunk) => {
+        received += chunk.length;
+        options.onProgress({ received, total });
+      });
+    }
+
     response.data.pipe(writer);
 
     return new Promise((resolve, reject) => {
@@ -0,0 +1,228 @@
+import { readdir, readFile } from 'fs/promises';
+import { join, basename } from 'path';
+import dotenv from 'dotenv';
+import { detectAdSegments } from './detect-ads.js';
+import { getLLMConfig } from './llm.js';
+import { assignWordsToSegments } from './word-timestamps.js';
+import { filterByConfidence } from './confidence.js';
+
+dotenv.config();
+
+/**
+ * Evaluation der Werbeerkennung gegen handgelabelte Transkripte
+ *
+ *   node evaluate.js [--cases eval/cases] [--cache eval/llm-cache] [--replay] [--min-iou 0.5] [--min-confidence 0.6] [--json]
+ *
+ * Jeder Fall in --cases ist ein Whisper-verbose_json-Transkript ({ segments, words? })
+ * mit zusätzlich "ads": [{ start_ms, end_ms, category }] als Ground Truth.
+ * Mit --cache werden LLM-Antworten gespeichert und wiederverwendet,
+ * --replay ruft das LLM nie auf (offline, z.B. in CI).
+ * --min-confidence wertet nur Segmente ab dieser Konfidenz, wie /analyze?min_confidence.
+ */
+
+function parseArgs(argv) {
+  const options = { cases: 'eval/cases', cache: null, replay: false, minIou: 0.5, minConfidence: null, json: false };
+  for (let i = 0; i < argv.length; i++) {
+    switch (argv[i]) {
+      case '--cases': options.cases = argv[++i]; break;
+      case '--cache': options.cache = argv[++i]; break;
+      case '--replay': options.replay = true; break;
+      case '--min-iou': options.minIou = parseFloat(argv[++i]); break;
+      case '--min-confidence': options.minConfidence = parseFloat(argv[++i]); break;
+      case '--json': options.json = true; break;
+      default: throw new Error(`Unbekannte Option: ${argv[i]}`);
+    }
+  }
+  if (options.replay && !options.cache) options.cache = 'eval/llm-cache';
+  return options;
+}
+
+async function loadCases(dir) {
+  const files = (await readdir(dir)).filter(f => f.endsWith('.json')).sort();
+  const cases = [];
+  for (const file of files) {
+    const data = JSON.parse(await readFile(join(dir, file), 'utf-8'));
+    const segments = data.words ? assignWordsToSegments(data.segments, data.words) : data.segments;
+    cases.push({
+      name: basename(file, '.json'),
+      transcription: { text: data.text ?? segments.map(s => s.text).join(' '), segments },
+      ads: data.ads || [],
+    });
+  }
+  return cases;
+}
+
+function overlap(a, b) {
+  return Math.max(0, Math.min(a.end_ms, b.end_ms) - Math.max(a.start_ms, b.start_ms));
+}
+
+function iou(a, b) {
+  const intersection = overlap(a, b);
+  const union = (a.end_ms - a.start_ms) + (b.end_ms - b.start_ms) - intersection;
+  return union > 0 ? intersection / union : 0;
+}
+
+/**
+ * Total covered time of possibly overlapping ranges
+ */
+function coveredMs(ranges) {
+  const sorted = [...ranges].sort((a, b) => a.start_ms - b.start_ms);
+  let total = 0;
+  let end = -Infinity;
+  for (const range of sorted) {
+    const start = Math.max(range.start_ms, end);
+    if (range.end_ms > start) total += range.end_ms - start;
+    end = Math.max(end, range.end_ms);
+  }
+  return total;
+}
+
+function intersectionMs(a, b) {
+  let total = 0;
+  for (const x of a) for (const y of b) total += overlap(x, y);
+  return total;
+}
+
+/**
+ * Greedily pair labels and detections of the same category by highest IoU
+ */
+function matchSegments(labels, detected, minIou) {
+  const candidates = [];
+  labels.forEach((label, l) => detected.forEach((det, d) => {
+    const value = iou(label, det);
+    if (value >= minIou) candidates.push({ l, d, iou: value });
+  }));
+  candidates.sort((a, b) => b.iou - a.iou);
+
+  const usedLabels = new Set();
+  const usedDetections = new Set();
+  const pairs = [];
+  for (const c of candidates) {
+    if (usedLabels.has(c.l) || usedDetections.has(c.d)) continue;
+    usedLabels.add(c.l);
+    usedDetections.add(c.d);
+    pairs.push({ label: labels[c.l], detected: detected[c.d], iou: c.iou });
+  }
+  return pairs;
+}
+
+function emptyStats() {
+  return { labels: 0, detected: 0, matched: 0, startErrorMs: 0, endErrorMs: 0, iouSum: 0, intersectionMs: 0, unionMs: 0 };
+}
+
+function addCase(stats, labels, detected, pairs) {
+  stats.labels += labels.length;
+  stats.detected += detected.length;
+  stats.matched += pairs.length;
+  for (const pair of pairs) {
+    stats.startErrorMs += Math.abs(pair.detected.start_ms - pair.label.start_ms);
+    stats.endErrorMs += Math.abs(pair.detected.end_ms - pair.label.end_ms);
+    stats.iouSum += pair.iou;
+  }
+  // Zeitbasierte IoU: Überlappung von gelabelter und erkannter Werbezeit insgesamt, ohne Paarbildung
+  const intersection = intersectionMs(labels, detected);
+  stats.intersectionMs += intersection;
+  stats.unionMs += coveredMs(labels) + coveredMs(detected) - intersection;
+}
+
+function summarize(stats) {
+  const ratio = (a, b) => (b > 0 ? Math.round((a / b) * 1000) / 1000 : null);
+  const seconds = ms => (stats.matched > 0 ? Math.round(ms / stats.matched / 100) / 10 : null);
+  return {
+    labels: stats.labels,
+    detected: stats.detected,
+    matched: stats.matched,
+    precision: ratio(stats.matched, stats.detected),
+    recall: ratio(stats.matched, stats.labels),
+    startErrorS: seconds(stats.startErrorMs),
+    endErrorS: seconds(stats.endErrorMs),
+    meanIou: ratio(stats.iouSum, stats.matched),
+    timeIou: ratio(stats.intersectionMs, stats.unionMs),
+  };
+}
+
+function printReport(report) {
+  console.log(`\n=== Evaluation: ${report.model} (${report.provider}) ===`);
+  const confidence = report.minConfidence !== null ? `, min. Konfidenz: ${report.minConfidence}` : '';
+  console.log(`${report.cases.length} Fälle, min. IoU für Treffer: ${report.minIou}${confidence}, LLM-Kosten: $${report.cost.toFixed(4)}\n`);
+
+  const columns = ['category', 'labels', 'detected', 'matched', 'precision', 'recall', 'startErrorS', 'endErrorS', 'meanIou', 'timeIou'];
+  const rows = Object.entries(report.categories).map(([category, s]) => ({ category, ...s }));
+  const widths = columns.map(c => Math.max(c.length, ...rows.map(r => String(r[c] ?? '–').length)));
+  const line = values => values.map((v, i) => String(v ?? '–').padEnd(widths[i])).join('  ');
+  console.log(line(columns));
+  for (const row of rows) console.log(line(columns.map(c => row[c])));
+
+  const failed = report.cases.filter(c => c.error);
+  if (failed.length > 0) {
+    console.log(`\n${failed.length} Fall/Fälle fehlgeschlagen:`);
+    for (const c of failed) console.log(`  ${c.name}: ${c.error}`);
+  }
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  if (options.cache) {
+    process.env.LLM_CACHE_DIR = options.cache;
+    if (options.replay) process.env.LLM_CACHE_MODE = 'replay';
+  }
+
+  // Die Logs von detectAdSegments würden den Report zerreißen
+  const log = console.log;
+  const cases = await loadCases(options.cases);
+  const { provider, model } = getLLMConfig();
+
+  const stats = { all: emptyStats() };
+  const results = [];
+  let cost = 0;
+
+  for (const testCase of cases) {
+    console.log = () => {};
+    let detected;
+    try {
+      const result = await detectAdSegments(testCase.transcription, null);
+      detected = filterByConfidence(result.segments, options.minConfidence);
+      cost += result.gptCost;
+    } catch (error) {
+      results.push({ name: testCase.name, error: error.message });
+      continue;
+    } finally {
+      console.log = log;
+    }
+
+    // Treffer zählen nur innerhalb derselben Kategorie, auch in der Gesamtwertung
+    const allPairs = [];
+    for (const category of new Set([...testCase.ads, ...detected].map(s => s.category))) {
+      const labels = testCase.ads.filter(s => s.category === category);
+      const found = detected.filter(s => s.category === category);
+      const pairs = matchSegments(labels, found, options.minIou);
+      stats[category] ??= emptyStats();
+      addCase(stats[category], labels, found, pairs);
+      allPairs.push(...pairs);
+    }
+    addCase(stats.all, testCase.ads, detected, allPairs);
+
+    results.push({ name: testCase.name, ads: testCase.ads, detected });
+    if (!options.json) log(`  ${testCase.name}: ${testCase.ads.length} gelabelt, ${detected.length} erkannt`);
+  }
+
+  const report = {
+    provider,
+    model,
+    minIou: options.minIou,
+    minConfidence: options.minConfidence,
+    cost,
+    categories: Object.fromEntries(Object.entries(stats).map(([category, s]) => [category, summarize(s)])),
+    cases: results,
+  };
+
+  if (options.json) console.log(JSON.stringify(report, null, 2));
+  else printReport(report);
+
+  if (results.some(r => r.error)) process.exitCode = 1;
+}
+
+main().catch(err => {
+  console.error('Fehler:', err.message);
+  process.exit(1);
+});
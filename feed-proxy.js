@@ -0,0 +1,115 @@
+import { getPodcastByUrl } from './database.js';
+import { getEffectiveSegments } from './segments.js';
+import { getAttribute } from './feeds.js';
+import { statSync } from 'fs';
+import { getKeepRanges, getCleanAudioPath } from './render-audio.js';
+import { AD_CATEGORIES } from './categories.js';
+import { formatTimestamp } from './segment-export.js';
+
+const PSC_NAMESPACE = 'http://podlove.org/simple-chapters';
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Build chapters on the timeline of the ad-free audio
+ * Every chapter after the first marks a spot where ads were cut out.
+ * @param {Object[]} segments - Stored segments (original timeline)
+ * @returns {Object[]} [{ start_ms, title }]
+ */
+export function buildCleanChapters(segments) {
+  const cuts = segments
+    .filter(seg => AD_CATEGORIES.includes(seg.category))
+    .sort((a, b) => a.start_ms - b.start_ms);
+  const ranges = getKeepRanges(cuts, Infinity);
+
+  const chapters = [];
+  let position = 0;
+  let previousEnd = 0;
+  for (const range of ranges) {
+    const removed = cuts.filter(seg => seg.start_ms < range.start_ms && seg.end_ms > previousEnd);
+    chapters.push({
+      start_ms: position,
+      title: removed.length > 0
+        ? `Werbung entfernt: ${removed.map(seg => seg.description || seg.category).join(' / ')}`
+        : 'Anfang',
+    });
+    position += range.end_ms - range.start_ms;
+    previousEnd = range.end_ms;
+  }
+  return chapters;
+}
+
+/**
+ * Size of the cached ad-free rendering, null if it was not rendered yet
+ */
+function cleanAudioSize(podcast, segments, crossfadeMs) {
+  try {
+    return statSync(getCleanAudioPath(podcast, segments, { crossfadeMs })).size;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Replace (or add) an attribute of a tag, or remove it with value null
+ */
+function setAttribute(tagXml, attr, value) {
+  const pattern = new RegExp(`\\s${attr}\\s*=\\s*("[^"]*"|'[^']*')`, 'i');
+  const replacement = value === null ? '' : ` ${attr}="${escapeXml(value)}"`;
+  if (pattern.test(tagXml)) return tagXml.replace(pattern, () => replacement);
+  return value === null ? tagXml : tagXml.replace(/\s*\/?>$/, (end) => `${replacement}${end}`);
+}
+
+/**
+ * Rewrite a podcast feed so that analyzed episodes point at the ad-free audio
+ * Episodes that are not in the podcasts table or have no ad segments
+ * are passed through untouched.
+ * @param {string} xml - Original feed XML
+ * @param {string} baseUrl - Public base URL of this server
+ * @param {Object} options - { crossfadeMs } the enclosure is rendered with
+ * @returns {Object} { xml, rewritten }
+ */
+export function rewriteFeed(xml, baseUrl, { crossfadeMs = 0 } = {}) {
+  let rewritten = 0;
+
+  let output = xml.replace(/<item[\s>][\s\S]*?<\/item>/gi, (itemXml) => {
+    const enclosure = itemXml.match(/<enclosure\s[^>]*>/i);
+    if (!enclosure) return itemXml;
+
+    const url = getAttribute(enclosure[0], 'url');
+    const podcast = url && getPodcastByUrl(url);
+    if (!podcast) return itemXml;
+
+    const segments = getEffectiveSegments(podcast);
+    if (!segments.some(seg => AD_CATEGORIES.includes(seg.category))) return itemXml;
+
+    // Gerendert wird immer MP3; die Länge ist erst nach dem ersten Rendern bekannt
+    const cleanUrl = `${baseUrl}/podcasts/${podcast.id}/clean.mp3`;
+    const size = cleanAudioSize(podcast, segments, crossfadeMs);
+    let newEnclosure = setAttribute(enclosure[0], 'url', cleanUrl);
+    newEnclosure = setAttribute(newEnclosure, 'type', 'audio/mpeg');
+    newEnclosure = setAttribute(newEnclosure, 'length', size === null ? null : String(size));
+
+    const chapters = buildCleanChapters(segments)
+      .map(ch => `      <psc:chapter start="${formatTimestamp(ch.start_ms)}" title="${escapeXml(ch.title)}" />`)
+      .join('\n');
+
+    rewritten++;
+    return itemXml
+      .replace(enclosure[0], () => newEnclosure)
+      .replace(/<psc:chapters[\s\S]*?<\/psc:chapters>/i, '')
+      .replace(/<\/item>$/i, `  <psc:chapters version="1.2">\n${chapters}\n    </psc:chapters>\n  </item>`);
+  });
+
+  if (rewritten > 0 && !/xmlns:psc=/.test(output)) {
+    output = output.replace(/<rss\b/i, `<rss xmlns:psc="${PSC_NAMESPACE}"`);
+  }
+
+  return { xml: output, rewritten };
+}
@@ -0,0 +1,163 @@
+import axios from 'axios';
+import { getFeeds, addFeedEpisodes, updateFeedStatus } from './database.js';
+
+/**
+ * Decode the XML entities that appear in feed titles and enclosure URLs
+ */
+function decodeXml(value) {
+  return value
+    .replace(/^<!\[CDATA\[([\s\S]*)\]\]>$/, '$1')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&#(\d+);/g, (_, code) => String.fromCharCode(parseInt(code)))
+    .replace(/&amp;/g, '&')
+    .trim();
+}
+
+function getTagText(xml, tag) {
+  const match = xml.match(new RegExp(`<${tag}(?:\\s[^>]*)?>([\\s\\S]*?)</${tag}>`, 'i'));
+  return match ? decodeXml(match[1].trim()) : null;
+}
+
+export function getAttribute(tagXml, attr) {
+  const match = tagXml.match(new RegExp(`\\s${attr}\\s*=\\s*(?:"([^"]*)"|'([^']*)')`, 'i'));
+  return match ? decodeXml(match[1] ?? match[2]) : null;
+}
+
+/**
+ * Parse an RSS 2.0 podcast feed
+ * Only items with an audio enclosure are returned.
+ * @param {string} xml - Raw feed XML
+ * @returns {Object} { title, items: [{ guid, title, url, publishedAt }] }
+ */
+export function parseFeed(xml) {
+  const channelXml = xml.split(/<item[\s>]/i)[0];
+  const title = getTagText(channelXml, 'title');
+
+  const items = [];
+  const itemRegex = /<item[\s>][\s\S]*?<\/item>/gi;
+  let match;
+  while ((match = itemRegex.exec(xml)) !== null) {
+    const itemXml = match[0];
+    const enclosure = itemXml.match(/<enclosure\s[^>]*>/i);
+    if (!enclosure) continue;
+
+    const url = getAttribute(enclosure[0], 'url');
+    if (!url) continue;
+
+    const pubDate = getTagText(itemXml, 'pubDate');
+    const published = pubDate ? new Date(pubDate) : null;
+
+    items.push({
+      guid: getTagText(itemXml, 'guid') || url,
+      title: getTagText(itemXml, 'title'),
+      url,
+      publishedAt: published && !isNaN(published) ? published.toISOString() : null,
+    });
+  }
+
+  // Neueste Folge zuerst, unabhängig von der Reihenfolge im Feed
+  items.sort((a, b) => (b.publishedAt || '').localeCompare(a.publishedAt || ''));
+
+  return { title, items };
+}
+
+/**
+ * Download the raw XML of a podcast feed
+ * Responses that are neither declared nor recognizable as XML are rejected.
+ * @param {string} feedUrl - URL of the RSS feed
+ * @returns {Promise<string>} Feed XML
+ */
+export async function fetchFeedXml(feedUrl) {
+  try {
+    const response = await axios({
+      method: 'GET',
+      url: feedUrl,
+      responseType: 'text',
+      timeout: 30000,
+      maxRedirects: 10,
+      headers: {
+        'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+        'Accept': 'application/rss+xml,application/xml,text/xml,*/*'
+      }
+    });
+    const contentType = String(response.headers['content-type'] || '');
+    const looksLikeXml = typeof response.data === 'string' && /^\s*(<\?xml|<rss[\s>])/i.test(response.data);
+    if (!looksLikeXml && !/xml|rss/i.test(contentType)) {
+      throw new Error(`not an RSS/XML feed (${contentType || 'no content type'})`);
+    }
+    return response.data;
+  } catch (error) {
+    throw new Error(`Failed to fetch feed: ${error.message}`);
+  }
+}
+
+/**
+ * Download and parse a podcast feed
+ * @param {string} feedUrl - URL of the RSS feed
+ * @returns {Promise<Object>} { title, items }
+ */
+export async function fetchFeed(feedUrl) {
+  return parseFeed(await fetchFeedXml(feedUrl));
+}
+
+/**
+ * Check a feed for episodes that have not been seen yet
+ * All episodes are marked as seen; only the newest `backfill` of the
+ * new ones are handed to onNewEpisode, so subscribing to a feed with a
+ * long back catalogue does not process every old episode.
+ * @param {Object} feed - Row from the feeds table
+ * @param {Function} onNewEpisode - Called with (episode, feed) for each new episode
+ * @param {number} backfill - Max number of new episodes to hand over (Infinity = all)
+ * @param {Object} [parsed] - Result of fetchFeed if the caller already has it (skips the fetch)
+ * @returns {Promise<Object[]>} New episodes
+ */
+export async function pollFeed(feed, onNewEpisode, backfill = Infinity, parsed = null) {
+  try {
+    const { title, items } = parsed || await fetchFeed(feed.url);
+    const newEpisodes = addFeedEpisodes(feed.id, items);
+    updateFeedStatus(feed.id, { title, error: null });
+
+    if (newEpisodes.length > 0) {
+      console.log(`[Feed ${feed.id}] ${newEpisodes.length} new episode(s) in ${title || feed.url}`);
+    }
+
+    for (const episode of newEpisodes.slice(0, backfill)) {
+      await onNewEpisode(episode, feed);
+    }
+    return newEpisodes;
+  } catch (error) {
+    console.error(`[Feed ${feed.id}] Error:`, error.message);
+    updateFeedStatus(feed.id, { error: error.message });
+    return [];
+  }
+}
+
+/**
+ * Poll all registered feeds periodically
+ * @param {Function} onNewEpisode - Called with (episode, feed) for each new episode
+ * @param {number} intervalMs - Poll interval
+ * @returns {Function} Stops the polling
+ */
+export function startFeedPolling(onNewEpisode, intervalMs) {
+  let running = false;
+
+  const pollAll = async () => {
+    // Überlappende Durchläufe vermeiden, falls ein Feed sehr langsam ist
+    if (running) return;
+    running = true;
+    try {
+      for (const feed of getFeeds()) {
+        await pollFeed(feed, onNewEpisode);
+      }
+    } finally {
+      running = false;
+    }
+  };
+
+  const timer = setInterval(pollAll, intervalMs);
+  pollAll();
+  return () => clearInterval(timer);
+}
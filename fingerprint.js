@@ -0,0 +1,313 @@
+import { spawn } from 'child_process';
+import { readFile, writeFile } from 'fs/promises';
+import { join } from 'path';
+import { getAdFingerprints, addAdFingerprint } from './database.js';
+import { getEpisodeDir } from './download.js';
+import { AD_CATEGORIES } from './categories.js';
+
+// Robuster Audio-Fingerprint nach Haitsma & Kalker: pro Frame 32 Bit aus
+// Energiedifferenzen von 33 logarithmischen Bändern zwischen 300 und 2000 Hz
+const SAMPLE_RATE = 5512;
+const FRAME_SIZE = 2048;
+const HOP_SIZE = 512;
+export const FRAME_MS = (HOP_SIZE / SAMPLE_RATE) * 1000;
+
+const BAND_COUNT = 33;
+const MIN_FREQ = 300;
+const MAX_FREQ = 2000;
+
+const MIN_AD_FRAMES = Math.round(3000 / FRAME_MS);
+const MAX_AD_FRAMES = Math.round(300000 / FRAME_MS);
+const MAX_BIT_ERROR_RATE = parseFloat(process.env.FINGERPRINT_MAX_BER) || 0.3;
+const MIN_VOTES = 3;
+
+const FINGERPRINT_FILE = 'fingerprint.bin';
+
+const hannWindow = Float64Array.from({ length: FRAME_SIZE }, (_, i) => 0.5 - 0.5 * Math.cos((2 * Math.PI * i) / (FRAME_SIZE - 1)));
+
+const bandEdges = Array.from({ length: BAND_COUNT + 1 }, (_, i) => {
+  const freq = MIN_FREQ * Math.pow(MAX_FREQ / MIN_FREQ, i / BAND_COUNT);
+  return Math.round((freq * FRAME_SIZE) / SAMPLE_RATE);
+});
+
+const bitReversed = (() => {
+  const bits = Math.log2(FRAME_SIZE);
+  return Uint32Array.from({ length: FRAME_SIZE }, (_, i) => {
+    let reversed = 0;
+    for (let b = 0; b < bits; b++) reversed = (reversed << 1) | ((i >> b) & 1);
+    return reversed;
+  });
+})();
+
+const twiddleRe = Float64Array.from({ length: FRAME_SIZE / 2 }, (_, k) => Math.cos((-2 * Math.PI * k) / FRAME_SIZE));
+const twiddleIm = Float64Array.from({ length: FRAME_SIZE / 2 }, (_, k) => Math.sin((-2 * Math.PI * k) / FRAME_SIZE));
+
+/**
+ * In-place radix-2 FFT
+ */
+function fft(re, im) {
+  for (let i = 0; i < FRAME_SIZE; i++) {
+    const j = bitReversed[i];
+    if (j > i) {
+      [re[i], re[j]] = [re[j], re[i]];
+      [im[i], im[j]] = [im[j], im[i]];
+    }
+  }
+  for (let size = 2; size <= FRAME_SIZE; size *= 2) {
+    const half = size / 2;
+    const stride = FRAME_SIZE / size;
+    for (let start = 0; start < FRAME_SIZE; start += size) {
+      for (let k = 0; k < half; k++) {
+        const wr = twiddleRe[k * stride];
+        const wi = twiddleIm[k * stride];
+        const a = start + k;
+        const b = a + half;
+        const tr = re[b] * wr - im[b] * wi;
+        const ti = re[b] * wi + im[b] * wr;
+        re[b] = re[a] - tr;
+        im[b] = im[a] - ti;
+        re[a] += tr;
+        im[a] += ti;
+      }
+    }
+  }
+}
+
+function bandEnergies(samples, offset, re, im) {
+  for (let i = 0; i < FRAME_SIZE; i++) {
+    re[i] = samples[offset + i] * hannWindow[i];
+    im[i] = 0;
+  }
+  fft(re, im);
+
+  const energies = new Float64Array(BAND_COUNT);
+  for (let band = 0; band < BAND_COUNT; band++) {
+    let sum = 0;
+    for (let bin = bandEdges[band]; bin < bandEdges[band + 1]; bin++) {
+      sum += re[bin] * re[bin] + im[bin] * im[bin];
+    }
+    energies[band] = sum;
+  }
+  return energies;
+}
+
+function subFingerprint(energies, previous) {
+  let hash = 0;
+  for (let m = 0; m < BAND_COUNT - 1; m++) {
+    const diff = (energies[m] - energies[m + 1]) - (previous[m] - previous[m + 1]);
+    if (diff > 0) hash |= 1 << m;
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Decode an audio file to PCM via ffmpeg and compute its fingerprint
+ * The audio is streamed, so long episodes do not have to fit in memory.
+ * @param {string} audioFilePath - Path to the audio file
+ * @returns {Promise<Uint32Array>} One 32-bit sub-fingerprint per FRAME_MS
+ */
+export function computeFingerprint(audioFilePath) {
+  return new Promise((resolve, reject) => {
+    const ffmpeg = spawn('ffmpeg', ['-v', 'error', '-i', audioFilePath, '-ac', '1', '-ar', String(SAMPLE_RATE), '-f', 's16le', '-']);
+
+    const hashes = [];
+    const re = new Float64Array(FRAME_SIZE);
+    const im = new Float64Array(FRAME_SIZE);
+    let samples = new Float64Array(0);
+    let leftoverByte = null;
+    let previous = null;
+    let stderr = '';
+
+    ffmpeg.stdout.on('data', (chunk) => {
+      if (leftoverByte) {
+        chunk = Buffer.concat([leftoverByte, chunk]);
+        leftoverByte = null;
+      }
+      if (chunk.length % 2 === 1) {
+        leftoverByte = chunk.subarray(chunk.length - 1);
+        chunk = chunk.subarray(0, chunk.length - 1);
+      }
+
+      const combined = new Float64Array(samples.length + chunk.length / 2);
+      combined.set(samples);
+      for (let i = 0; i < chunk.length / 2; i++) {
+        combined[samples.length + i] = chunk.readInt16LE(i * 2) / 32768;
+      }
+
+      let offset = 0;
+      while (offset + FRAME_SIZE <= combined.length) {
+        const energies = bandEnergies(combined, offset, re, im);
+        if (previous) hashes.push(subFingerprint(energies, previous));
+        previous = energies;
+        offset += HOP_SIZE;
+      }
+      samples = combined.slice(offset);
+    });
+
+    ffmpeg.stderr.on('data', (data) => { stderr += data; });
+    ffmpeg.on('error', (err) => reject(new Error(`Failed to fingerprint audio: ${err.message}`)));
+    ffmpeg.on('close', (code) => {
+      if (code !== 0) return reject(new Error(`Failed to fingerprint audio: ffmpeg exited with ${code}: ${stderr.trim()}`));
+      resolve(Uint32Array.from(hashes));
+    });
+  });
+}
+
+function popcount(value) {
+  value -= (value >>> 1) & 0x55555555;
+  value = (value & 0x33333333) + ((value >>> 2) & 0x33333333);
+  return (((value + (value >>> 4)) & 0x0f0f0f0f) * 0x01010101) >>> 24;
+}
+
+/**
+ * Bit error rate between a fingerprint and a region of another
+ */
+export function bitErrorRate(reference, target, offset) {
+  let errors = 0;
+  for (let i = 0; i < reference.length; i++) {
+    errors += popcount((reference[i] ^ target[offset + i]) >>> 0);
+  }
+  return errors / (reference.length * 32);
+}
+
+/**
+ * Find all places where `needle` occurs in `haystack`
+ * Exact sub-fingerprint hits vote for an offset, the candidates are then
+ * verified by the bit error rate over the whole needle.
+ * @param {Uint32Array} needle - Fingerprint to search for
+ * @param {Uint32Array} haystack - Fingerprint to search in
+ * @param {Map} index - Optional prebuilt index of the haystack (hash → positions)
+ * @returns {Object[]} [{ offset, ber }] non-overlapping, sorted by offset
+ */
+export function findFingerprint(needle, haystack, index = buildIndex(haystack)) {
+  if (needle.length === 0 || needle.length > haystack.length) return [];
+
+  const votes = new Map();
+  for (let i = 0; i < needle.length; i++) {
+    const positions = index.get(needle[i]);
+    if (!positions) continue;
+    for (const position of positions) {
+      const offset = position - i;
+      if (offset < 0 || offset + needle.length > haystack.length) continue;
+      votes.set(offset, (votes.get(offset) || 0) + 1);
+    }
+  }
+
+  const candidates = [...votes.entries()]
+    .filter(([, count]) => count >= MIN_VOTES)
+    .map(([offset]) => ({ offset, ber: bitErrorRate(needle, haystack, offset) }))
+    .filter(candidate => candidate.ber <= MAX_BIT_ERROR_RATE)
+    .sort((a, b) => a.ber - b.ber);
+
+  // Bester Treffer gewinnt, überlappende Kandidaten fallen weg
+  const matches = [];
+  for (const candidate of candidates) {
+    if (matches.every(m => Math.abs(m.offset - candidate.offset) >= needle.length)) {
+      matches.push(candidate);
+    }
+  }
+  return matches.sort((a, b) => a.offset - b.offset);
+}
+
+/**
+ * Index sub-fingerprints by value; silence (all bits equal) is skipped
+ */
+export function buildIndex(fingerprint) {
+  const index = new Map();
+  for (let i = 0; i < fingerprint.length; i++) {
+    const hash = fingerprint[i];
+    if (hash === 0 || hash === 0xffffffff) continue;
+    const positions = index.get(hash);
+    if (positions) positions.push(i);
+    else index.set(hash, [i]);
+  }
+  return index;
+}
+
+export function encodeFingerprint(fingerprint) {
+  return Buffer.from(fingerprint.buffer, fingerprint.byteOffset, fingerprint.byteLength).toString('base64');
+}
+
+export function decodeFingerprint(encoded) {
+  const buffer = Buffer.from(encoded, 'base64');
+  return new Uint32Array(buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.byteLength));
+}
+
+/**
+ * Store the fingerprint of a whole episode next to its transcript
+ * Needed later to register confirmed ad segments after the audio is gone.
+ */
+export async function saveEpisodeFingerprint(episodeDir, fingerprint) {
+  await writeFile(join(episodeDir, FINGERPRINT_FILE), Buffer.from(fingerprint.buffer, fingerprint.byteOffset, fingerprint.byteLength));
+}
+
+export async function loadEpisodeFingerprint(episodeDir) {
+  try {
+    const buffer = await readFile(join(episodeDir, FINGERPRINT_FILE));
+    return new Uint32Array(buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.byteLength));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Look for known ads in an episode fingerprint
+ * @param {Uint32Array} fingerprint - Fingerprint of the new episode
+ * @returns {Object[]} Segments with source 'fingerprint'
+ */
+export function matchAdFingerprints(fingerprint) {
+  const index = buildIndex(fingerprint);
+  const segments = [];
+
+  for (const ad of getAdFingerprints()) {
+    const needle = decodeFingerprint(ad.hashes);
+    for (const match of findFingerprint(needle, fingerprint, index)) {
+      segments.push({
+        start_ms: Math.round(match.offset * FRAME_MS),
+        end_ms: Math.round((match.offset + needle.length) * FRAME_MS),
+        category: ad.category,
+        description: ad.description || '',
+        source: 'fingerprint',
+        fingerprint_id: ad.id,
+        bit_error_rate: Math.round(match.ber * 1000) / 1000,
+      });
+    }
+  }
+
+  return segments.sort((a, b) => a.start_ms - b.start_ms);
+}
+
+/**
+ * Store fingerprints for confirmed ad segments of an episode
+ * Uses the episode fingerprint saved during processing. Segments that
+ * were found via fingerprint themselves are skipped.
+ * @param {string} url - Episode URL
+ * @param {Object[]} segments - Confirmed segments
+ * @returns {Promise<number>} Number of new ad fingerprints
+ */
+export async function registerAdFingerprints(url, segments) {
+  const fingerprint = await loadEpisodeFingerprint(getEpisodeDir(url));
+  if (!fingerprint) return 0;
+
+  let added = 0;
+  for (const seg of segments) {
+    if (!AD_CATEGORIES.includes(seg.category) || seg.source === 'fingerprint') continue;
+
+    const start = Math.max(0, Math.round(seg.start_ms / FRAME_MS));
+    const end = Math.min(fingerprint.length, Math.round(seg.end_ms / FRAME_MS));
+    if (end - start < MIN_AD_FRAMES || end - start > MAX_AD_FRAMES) continue;
+
+    const row = addAdFingerprint({
+      url,
+      start_ms: seg.start_ms,
+      end_ms: seg.end_ms,
+      category: seg.category,
+      description: seg.description,
+      hashes: encodeFingerprint(fingerprint.slice(start, end)),
+    });
+    if (row) added++;
+  }
+
+  if (added > 0) console.log(`[Fingerprint] Registered ${added} ad fingerprint(s) from ${url}`);
+  return added;
+}
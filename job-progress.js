@@ -0,0 +1,87 @@
+import { EventEmitter } from 'events';
+
+// Anteil jeder Stufe am Gesamtfortschritt (Prozent von/bis) je Job-Typ;
+// Transkription und LLM dauern am längsten
+const STAGE_RANGES = {
+  process: {
+    download: [0, 15],
+    fingerprint: [15, 20],
+    split: [20, 25],
+    transcribe: [25, 70],
+    detect: [70, 95],
+    refine: [95, 98],
+    save: [98, 100],
+  },
+  reanalyze: {
+    detect: [0, 95],
+    save: [95, 100],
+  },
+};
+
+// Byte-Fortschritt beim Download kommt pro Netzwerkpaket, höchstens so oft weitergeben
+const MIN_EMIT_INTERVAL_MS = 250;
+
+const emitter = new EventEmitter();
+// Jeder offene SSE-Stream ist ein Listener
+emitter.setMaxListeners(0);
+
+const latest = new Map();
+
+/**
+ * Create the progress callback for a job
+ * @param {Object} job - Job row (id, type)
+ * @returns {Function} (stage, { current, total, unit }) => void
+ */
+export function createProgressReporter(job) {
+  const ranges = STAGE_RANGES[job.type] || {};
+  let lastEmit = 0;
+
+  return (stage, { current = null, total = null, unit = null } = {}) => {
+    const previous = latest.get(job.id);
+    const now = Date.now();
+    const sameStage = previous?.stage === stage;
+    if (sameStage && current !== total && now - lastEmit < MIN_EMIT_INTERVAL_MS) return;
+
+    const range = ranges[stage];
+    const fraction = total > 0 && current !== null ? Math.min(1, current / total) : 0;
+    const progress = {
+      stage,
+      percent: range ? Math.round(range[0] + (range[1] - range[0]) * fraction) : null,
+      ...(current !== null && { current }),
+      ...(total !== null && { total }),
+      ...(unit && { unit }),
+      updatedAt: now,
+    };
+    latest.set(job.id, progress);
+    lastEmit = now;
+    emitter.emit(job.id, { type: 'progress', data: progress });
+  };
+}
+
+/**
+ * Last reported progress of a running job, if any
+ */
+export function getJobProgress(jobId) {
+  return latest.get(jobId) || null;
+}
+
+/**
+ * Tell subscribers about a status change (running, done, error, ...)
+ * The stored progress ends with the run.
+ * @param {Object} formattedJob - formatJob() of the updated job
+ */
+export function publishJobStatus(formattedJob) {
+  if (formattedJob.status !== 'running') latest.delete(formattedJob.jobId);
+  emitter.emit(formattedJob.jobId, { type: 'status', data: formattedJob });
+}
+
+/**
+ * Listen to progress and status events of a job
+ * @param {string} jobId - Job ID
+ * @param {Function} listener - ({ type: 'progress' | 'status', data }) => void
+ * @returns {Function} Unsubscribe
+ */
+export function subscribeJobEvents(jobId, listener) {
+  emitter.on(jobId, listener);
+  return () => emitter.off(jobId, listener);
+}
@@ -0,0 +1,139 @@
+import { createJob, getJob, updateJob, claimNextJob, requeueInterruptedJobs, findActiveJobByUrl } from './database.js';
+import { createProgressReporter, getJobProgress, publishJobStatus } from './job-progress.js';
+
+const handlers = new Map();
+let concurrency = 1;
+let maxAttempts = 3;
+let retryBaseMs = 60000;
+let activeCount = 0;
+let pollTimer = null;
+
+// Netzwerk-, Timeout- und Serverfehler, bei denen ein späterer Versuch Sinn ergibt
+const TRANSIENT_ERROR_PATTERN = /ECONNRESET|ECONNREFUSED|ETIMEDOUT|ENOTFOUND|EAI_AGAIN|EPIPE|socket hang up|timeout|timed out|status code (429|5\d\d)|rate limit|Connection error/i;
+
+function isTransientError(err) {
+  if (err.transient !== undefined) return err.transient;
+  if (err.status === 429 || err.status >= 500) return true;
+  return TRANSIENT_ERROR_PATTERN.test(err.message || '');
+}
+
+/**
+ * Register the function that runs jobs of a given type
+ * The handler receives the job row and a progress callback
+ * (stage, { current, total, unit }) and may return { title }.
+ * Throw an error with `transient = false` to skip retries, or with
+ * `jobStatus = 'deferred'` (+ `retryAt`) / `'refused'` to park or reject the job.
+ * @param {string} type - Job type, e.g. 'process'
+ * @param {Function} handler - async (job) => result
+ */
+export function registerJobHandler(type, handler) {
+  handlers.set(type, handler);
+}
+
+/**
+ * Add a job to the queue, or return the active job for the same URL
+ * @param {string} url - Episode URL
+ * @param {string} type - Job type
+ * @param {Object} options - { apiKeyId } of the key that requested the job
+ * @returns {Object} Job row
+ */
+export function enqueueJob(url, type = 'process', { apiKeyId = null } = {}) {
+  const active = findActiveJobByUrl(url, type);
+  if (active) return active;
+
+  const jobId = `job_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+  const job = createJob(jobId, url, type, apiKeyId);
+  console.log(`[Queue] Enqueued ${jobId} (${type}): ${url}`);
+  setImmediate(pump);
+  return job;
+}
+
+/**
+ * Shape a job row the way GET /process/:jobId has always returned it,
+ * plus the current stage and percentage while it runs
+ */
+export function formatJob(job) {
+  const progress = job.status === 'running' ? getJobProgress(job.id) : null;
+  return {
+    jobId: job.id,
+    type: job.type,
+    status: job.status,
+    url: job.url,
+    ...(job.title && { title: job.title }),
+    ...(job.error && { error: job.error }),
+    attempts: job.attempts,
+    createdAt: job.created_at,
+    startedAt: job.started_at,
+    ...(job.finished_at && { finishedAt: job.finished_at }),
+    ...(['queued', 'deferred'].includes(job.status) && job.next_run_at > Date.now() && { nextRunAt: job.next_run_at }),
+    ...(progress && { progress }),
+  };
+}
+
+function finishJob(jobId, fields) {
+  updateJob(jobId, fields);
+  publishJobStatus(formatJob(getJob(jobId)));
+}
+
+async function runJob(job) {
+  const handler = handlers.get(job.type);
+  activeCount++;
+  try {
+    if (!handler) {
+      throw Object.assign(new Error(`No handler for job type "${job.type}"`), { transient: false });
+    }
+    console.log(`\n[Job ${job.id}] Started (attempt ${job.attempts}/${maxAttempts})`);
+    publishJobStatus(formatJob(job));
+    const result = await handler(job, createProgressReporter(job));
+    finishJob(job.id, { status: 'done', title: result?.title, finished_at: Date.now() });
+    console.log(`[Job ${job.id}] Done`);
+  } catch (err) {
+    if (err.jobStatus === 'deferred') {
+      // Kein Fehlversuch: der Job wartet nur, bis wieder Budget da ist
+      finishJob(job.id, { status: 'deferred', error: err.message, attempts: job.attempts - 1, next_run_at: err.retryAt });
+      console.log(`[Job ${job.id}] Deferred until ${new Date(err.retryAt).toISOString()}: ${err.message}`);
+    } else if (err.jobStatus === 'refused') {
+      finishJob(job.id, { status: 'refused', error: err.message, finished_at: Date.now() });
+      console.log(`[Job ${job.id}] Refused: ${err.message}`);
+    } else if (isTransientError(err) && job.attempts < maxAttempts) {
+      const delay = Math.min(retryBaseMs * Math.pow(2, job.attempts - 1), 60 * 60 * 1000);
+      finishJob(job.id, { status: 'queued', error: err.message, next_run_at: Date.now() + delay });
+      console.error(`[Job ${job.id}] Error (retry in ${Math.round(delay / 1000)}s):`, err.message);
+    } else {
+      finishJob(job.id, { status: 'error', error: err.message, finished_at: Date.now() });
+      console.error(`[Job ${job.id}] Error:`, err.message);
+    }
+  } finally {
+    activeCount--;
+    setImmediate(pump);
+  }
+}
+
+function pump() {
+  while (activeCount < concurrency) {
+    const job = claimNextJob();
+    if (!job) return;
+    runJob(job);
+  }
+}
+
+/**
+ * Start processing the queue
+ * Jobs that were running when the server stopped are queued again.
+ * @param {Object} options - { concurrency, maxAttempts, retryBaseMs }
+ */
+export function startJobQueue(options = {}) {
+  concurrency = options.concurrency || concurrency;
+  maxAttempts = options.maxAttempts || maxAttempts;
+  retryBaseMs = options.retryBaseMs || retryBaseMs;
+
+  const recovered = requeueInterruptedJobs();
+  if (recovered > 0) {
+    console.log(`[Queue] Recovered ${recovered} interrupted job(s)`);
+  }
+
+  // Regelmäßig nach fälligen Retries schauen
+  if (pollTimer) clearInterval(pollTimer);
+  pollTimer = setInterval(pump, 5000);
+  pump();
+}
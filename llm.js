@@ -0,0 +1,235 @@
+import OpenAI from 'openai';
+import { createHash } from 'crypto';
+import { mkdir, readFile, writeFile } from 'fs/promises';
+import { join } from 'path';
+
+// Bei jeder Preisänderung in MODEL_PRICING oder transcribe-openai.js hochzählen;
+// wird in cost_data gespeichert, damit alte Kosten nachvollziehbar bleiben
+export const PRICING_VERSION = '2025-01';
+
+// Preise in USD pro 1M Tokens. Modelle ohne Eintrag (Ollama, selbst gehostet) kosten nichts.
+export const MODEL_PRICING = {
+  'gpt-4o': { input: 2.5, output: 10 },
+  'gpt-4o-mini': { input: 0.15, output: 0.6 },
+  'gpt-4-turbo': { input: 10, output: 30 },
+  'gpt-4.1': { input: 2, output: 8 },
+  'gpt-4.1-mini': { input: 0.4, output: 1.6 },
+  'gpt-3.5-turbo': { input: 0.5, output: 1.5 },
+};
+
+// Standard-Endpunkte je Provider; LLM_BASE_URL überschreibt sie
+const PROVIDER_DEFAULTS = {
+  openai: { baseURL: undefined, model: 'gpt-4-turbo' },
+  ollama: { baseURL: 'http://localhost:11434/v1', model: 'llama3.1' },
+  'openai-compatible': { baseURL: 'http://localhost:8000/v1', model: 'default' },
+};
+
+let client;
+
+/**
+ * Resolve the LLM configuration from the environment
+ * @returns {Object} { provider, baseURL, apiKey, model, jsonMode }
+ */
+export function getLLMConfig() {
+  const provider = process.env.LLM_PROVIDER || 'openai';
+  const defaults = PROVIDER_DEFAULTS[provider];
+  if (!defaults) {
+    throw new Error(`Unknown LLM provider "${provider}" (available: ${Object.keys(PROVIDER_DEFAULTS).join(', ')})`);
+  }
+
+  return {
+    provider,
+    baseURL: process.env.LLM_BASE_URL || defaults.baseURL,
+    // Ollama und viele selbst gehostete Server ignorieren den Key, das SDK verlangt aber einen
+    apiKey: process.env.LLM_API_KEY || (provider === 'openai' ? process.env.OPENAI_API_KEY : 'not-needed'),
+    model: process.env.LLM_MODEL || process.env.OPENAI_MODEL || defaults.model,
+    // auto: JSON-Modus versuchen, bei Ablehnung ohne JSON-Modus weiter; on/off erzwingt das Verhalten
+    jsonMode: process.env.LLM_JSON_MODE || 'auto',
+  };
+}
+
+function getClient(config) {
+  if (!client) {
+    client = new OpenAI({
+      apiKey: config.apiKey,
+      baseURL: config.baseURL,
+    });
+  }
+  return client;
+}
+
+/**
+ * Pricing table including overrides from LLM_PRICING
+ * e.g. LLM_PRICING={"mistral-large":{"input":2,"output":6}}
+ */
+export function getPricingTable() {
+  if (!process.env.LLM_PRICING) return MODEL_PRICING;
+  try {
+    return { ...MODEL_PRICING, ...JSON.parse(process.env.LLM_PRICING) };
+  } catch {
+    console.error('Invalid LLM_PRICING, using built-in prices');
+    return MODEL_PRICING;
+  }
+}
+
+/**
+ * Pricing version incl. a marker for LLM_PRICING overrides
+ * e.g. "2025-01" or "2025-01+custom.3f2a9c1d"
+ */
+export function getPricingVersion() {
+  if (!process.env.LLM_PRICING) return PRICING_VERSION;
+  const hash = createHash('sha1').update(process.env.LLM_PRICING).digest('hex').slice(0, 8);
+  return `${PRICING_VERSION}+custom.${hash}`;
+}
+
+/**
+ * Calculate the cost of a completion from the pricing table
+ * Unknown models (e.g. local ones) are free.
+ * @param {string} model - Model name
+ * @param {number} inputTokens - Prompt tokens
+ * @param {number} outputTokens - Completion tokens
+ * @returns {number} Cost in USD
+ */
+export function calculateLLMCost(model, inputTokens, outputTokens) {
+  const pricingTable = getPricingTable();
+  // Längster passender Präfix, damit z.B. "gpt-4o-mini-2024-07-18" auf gpt-4o-mini fällt
+  const key = Object.keys(pricingTable)
+    .filter(name => model === name || model.startsWith(`${name}-`))
+    .sort((a, b) => b.length - a.length)[0];
+  if (!key) return 0;
+
+  const pricing = pricingTable[key];
+  return (inputTokens / 1_000_000) * pricing.input + (outputTokens / 1_000_000) * pricing.output;
+}
+
+/**
+ * Extract a JSON object from a model response
+ * Models without JSON mode like to wrap it in ```json fences or prose.
+ */
+export function parseJsonResponse(content) {
+  try {
+    return JSON.parse(content);
+  } catch {}
+
+  const fenced = content.match(/```(?:json)?\s*([\s\S]*?)```/i);
+  if (fenced) {
+    try {
+      return JSON.parse(fenced[1]);
+    } catch {}
+  }
+
+  const start = content.indexOf('{');
+  const end = content.lastIndexOf('}');
+  if (start !== -1 && end > start) {
+    return JSON.parse(content.slice(start, end + 1));
+  }
+
+  throw new Error('LLM response did not contain JSON');
+}
+
+// Server ohne response_format-Unterstützung antworten mit 400/422 oder ignorieren es
+let jsonModeUnsupported = false;
+
+function isJsonModeRejected(error) {
+  return (error.status === 400 || error.status === 422) && /response_format|json/i.test(error.message || '');
+}
+
+/**
+ * Response cache for reproducible evaluations (LLM_CACHE_DIR)
+ * Key is model + messages + temperature, so any prompt change misses.
+ * LLM_CACHE_MODE=replay never calls the LLM and fails on a miss.
+ */
+function getCacheConfig() {
+  const dir = process.env.LLM_CACHE_DIR;
+  if (!dir) return null;
+  return { dir, replay: process.env.LLM_CACHE_MODE === 'replay' };
+}
+
+function cachePath(dir, model, messages, temperature) {
+  const key = createHash('sha256').update(JSON.stringify({ model, messages, temperature })).digest('hex');
+  return join(dir, `${key}.json`);
+}
+
+async function readCache(path) {
+  try {
+    return JSON.parse(await readFile(path, 'utf-8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+/**
+ * Run a chat completion that must answer with a JSON object
+ * Tries JSON mode first and falls back to plain prompting (with a
+ * stricter instruction) if the endpoint does not support it.
+ * @param {Object[]} messages - Chat messages
+ * @param {Object} options - { temperature }
+ * @returns {Promise<Object>} { data, raw, model, inputTokens, outputTokens, cost, cached }
+ */
+export async function completeJson(messages, { temperature = 0.3 } = {}) {
+  const config = getLLMConfig();
+
+  const cache = getCacheConfig();
+  const path = cache && cachePath(cache.dir, config.model, messages, temperature);
+  if (cache) {
+    const hit = await readCache(path);
+    if (hit) {
+      return {
+        data: parseJsonResponse(hit.raw),
+        raw: hit.raw,
+        model: config.model,
+        inputTokens: hit.inputTokens,
+        outputTokens: hit.outputTokens,
+        cost: calculateLLMCost(config.model, hit.inputTokens, hit.outputTokens),
+        cached: true,
+      };
+    }
+    if (cache.replay) throw new Error(`No cached LLM response for ${config.model} (${path})`);
+  }
+
+  const llm = getClient(config);
+  const useJsonMode = config.jsonMode === 'on' || (config.jsonMode === 'auto' && !jsonModeUnsupported);
+
+  let completion;
+  try {
+    completion = await llm.chat.completions.create({
+      model: config.model,
+      messages,
+      temperature,
+      ...(useJsonMode && { response_format: { type: 'json_object' } })
+    });
+  } catch (error) {
+    if (!useJsonMode || config.jsonMode === 'on' || !isJsonModeRejected(error)) throw error;
+
+    console.log(`  ${config.model} does not support JSON mode, falling back to plain prompting`);
+    jsonModeUnsupported = true;
+    completion = await llm.chat.completions.create({
+      model: config.model,
+      messages: [
+        ...messages,
+        { role: 'system', content: 'Antworte ausschließlich mit einem JSON-Objekt, ohne Markdown und ohne Erklärungen.' }
+      ],
+      temperature
+    });
+  }
+
+  const raw = completion.choices[0].message.content || '';
+  const inputTokens = completion.usage?.prompt_tokens || 0;
+  const outputTokens = completion.usage?.completion_tokens || 0;
+
+  if (cache) {
+    await mkdir(cache.dir, { recursive: true });
+    await writeFile(path, JSON.stringify({ model: config.model, raw, inputTokens, outputTokens, createdAt: new Date().toISOString() }, null, 2));
+  }
+
+  return {
+    data: parseJsonResponse(raw),
+    raw,
+    model: config.model,
+    inputTokens,
+    outputTokens,
+    cost: calculateLLMCost(config.model, inputTokens, outputTokens),
+    cached: false,
+  };
+}
@@ -0,0 +1,88 @@
+import { countJobsByApiKey } from './database.js';
+
+// Standard-Tageskontingent für Processing-Jobs pro API-Key (0 = unbegrenzt),
+// api_keys.daily_quota überschreibt es pro Key
+const PROCESS_DAILY_QUOTA = parseInt(process.env.PROCESS_DAILY_QUOTA ?? '100');
+
+// Zähler pro Limit und Client: `${name}:${client}` → { count, resetAt }
+const windows = new Map();
+
+const cleanupTimer = setInterval(() => {
+  const now = Date.now();
+  for (const [key, window] of windows) {
+    if (window.resetAt <= now) windows.delete(key);
+  }
+}, 60 * 1000);
+cleanupTimer.unref();
+
+/**
+ * Identify the client of a request: its API key, otherwise its IP
+ */
+function clientId(req) {
+  if (req.apiKey) return `key:${req.apiKey.id ?? 'admin'}`;
+  return `ip:${req.ip}`;
+}
+
+function tooManyRequests(res, error, retryAfterSeconds, message) {
+  res.setHeader('Retry-After', String(retryAfterSeconds));
+  return res.status(429).json({ error, message, retryAfter: retryAfterSeconds });
+}
+
+/**
+ * Middleware factory: fixed-window rate limit per client
+ * Sets the RateLimit-* headers on every response and answers with
+ * 429 + Retry-After once the limit is reached.
+ * @param {Object} options - { name, limit, windowMs, exemptRoles }; limit 0 disables the limiter
+ */
+export function rateLimit({ name, limit, windowMs, exemptRoles = [] }) {
+  return (req, res, next) => {
+    if (!limit || exemptRoles.includes(req.apiKey?.role)) return next();
+
+    const key = `${name}:${clientId(req)}`;
+    const now = Date.now();
+    let window = windows.get(key);
+    if (!window || window.resetAt <= now) {
+      window = { count: 0, resetAt: now + windowMs };
+      windows.set(key, window);
+    }
+    window.count++;
+
+    const resetSeconds = Math.ceil((window.resetAt - now) / 1000);
+    res.setHeader('RateLimit-Limit', String(limit));
+    res.setHeader('RateLimit-Remaining', String(Math.max(0, limit - window.count)));
+    res.setHeader('RateLimit-Reset', String(resetSeconds));
+
+    if (window.count > limit) {
+      return tooManyRequests(res, 'rate_limited', resetSeconds, `Zu viele Anfragen, bitte in ${resetSeconds}s erneut versuchen.`);
+    }
+    next();
+  };
+}
+
+/**
+ * Middleware: daily quota of processing jobs per API key
+ * Counts the jobs the key created since midnight (UTC). The ADMIN_API_KEY
+ * from the environment is not limited.
+ * @param {string} type - Job type to count
+ */
+export function dailyJobQuota(type = 'process') {
+  return (req, res, next) => {
+    if (!req.apiKey || req.apiKey.id === null) return next();
+
+    const quota = req.apiKey.daily_quota ?? PROCESS_DAILY_QUOTA;
+    if (!quota) return next();
+
+    const midnight = new Date();
+    midnight.setUTCHours(0, 0, 0, 0);
+    const used = countJobsByApiKey(req.apiKey.id, type, midnight.getTime());
+
+    res.setHeader('X-Quota-Limit', String(quota));
+    res.setHeader('X-Quota-Remaining', String(Math.max(0, quota - used)));
+
+    if (used >= quota) {
+      const retryAfter = Math.ceil((midnight.getTime() + 24 * 60 * 60 * 1000 - Date.now()) / 1000);
+      return tooManyRequests(res, 'quota_exceeded', retryAfter, `Tageskontingent von ${quota} Jobs erreicht.`);
+    }
+    next();
+  };
+}
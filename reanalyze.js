@@ -0,0 +1,102 @@
+import { mkdir } from 'fs/promises';
+import { getPodcastByUrl, getAllPodcasts, hasTranscript, savePodcast, addCostEntry, getLastAnalysisTimes } from './database.js';
+import { getEpisodeDir } from './download.js';
+import { detectAdSegments } from './detect-ads.js';
+import { loadTranscription } from './transcript.js';
+import { loadEpisodeFingerprint, matchAdFingerprints } from './fingerprint.js';
+import { combineDetectedSegments } from './segments.js';
+import { estimateCost, reserveBudget, releaseBudget } from './budget.js';
+import { buildCostData, addCostData } from './costs.js';
+
+/**
+ * Job handler for 'reanalyze': rerun ad detection on the stored transcript
+ * Nothing is downloaded or transcribed again, only the LLM is paid; the
+ * boundaries stay word-aligned from the transcript, without the silence
+ * refinement of the pipeline. The cost is added to the episode's.
+ * Fingerprints are matched again from fingerprint.bin if it exists,
+ * manual corrections and confirmed segments are carried over.
+ */
+export async function reanalyzeEpisode(job, reportProgress) {
+  const { id: jobId, url } = job;
+  const podcast = getPodcastByUrl(url);
+  if (!podcast) {
+    throw Object.assign(new Error('Episode has not been analyzed yet'), { transient: false });
+  }
+
+  const transcription = await loadTranscription(url);
+  if (!transcription) {
+    throw Object.assign(new Error('No stored transcript'), { transient: false });
+  }
+
+  const durationSeconds = transcription.segments[transcription.segments.length - 1].end;
+  const estimate = estimateCost(durationSeconds).llm.cost;
+  console.log(`[Job ${jobId}] Reanalyzing ${url} (estimated cost: $${estimate.toFixed(4)})`);
+  reserveBudget(jobId, estimate);
+
+  try {
+    const episodeDir = getEpisodeDir(url);
+    await mkdir(episodeDir, { recursive: true });
+
+    const stored = JSON.parse(podcast.segments).segments || [];
+    const manualSegments = stored.filter(seg => seg.source === 'manual' || seg.reviewed === 'confirmed');
+    let fingerprintSegments = stored.filter(seg => seg.source === 'fingerprint');
+    try {
+      const fingerprint = await loadEpisodeFingerprint(episodeDir);
+      if (fingerprint) fingerprintSegments = matchAdFingerprints(fingerprint);
+    } catch (error) {
+      console.error(`[Job ${jobId}] Fingerprint matching failed:`, error.message);
+    }
+
+    const adResult = await detectAdSegments(transcription, episodeDir, {
+      onProgress: (current, total) => reportProgress('detect', { current, total, unit: 'chunks' }),
+    });
+    const costData = buildCostData({
+      inputTokens: adResult.inputTokens || 0,
+      outputTokens: adResult.outputTokens || 0,
+      llmCost: adResult.gptCost || 0,
+      model: adResult.model,
+    });
+    addCostEntry({ jobId, url, costData, estimatedCost: estimate });
+
+    // Manuelle Korrekturen und bestätigte Segmente bleiben erhalten und haben Vorrang
+    const segments = combineDetectedSegments(manualSegments, combineDetectedSegments(fingerprintSegments, adResult.segments));
+    const totalCostData = addCostData(podcast.cost_data ? JSON.parse(podcast.cost_data) : null, costData);
+    reportProgress('save');
+    savePodcast(url, podcast.title, { segments }, totalCostData, { source: 'reanalyze', promptVersion: adResult.promptVersion });
+    console.log(`[Job ${jobId}] ${segments.length} segment(s), cost: $${costData.totalCost.toFixed(4)}`);
+
+    return { title: podcast.title };
+  } finally {
+    releaseBudget(jobId);
+  }
+}
+
+function hostOf(url) {
+  try {
+    return new URL(url).hostname.replace(/^www\./, '');
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Analyzed episodes with a stored transcript that match all given filters
+ * @param {Object} filters - { host, before (Date), model }
+ * @returns {Object[]} Podcast rows
+ */
+export function selectEpisodesForReanalysis({ host, before, model } = {}) {
+  const analyzedAt = before ? getLastAnalysisTimes() : null;
+  return getAllPodcasts().filter(podcast => {
+    if (host) {
+      const episodeHost = hostOf(podcast.url);
+      if (!episodeHost || (episodeHost !== host && !episodeHost.endsWith(`.${host}`))) return false;
+    }
+    // Letzter Erkennungslauf, nicht updated_at (ändert sich auch bei manuellen Korrekturen)
+    if (before && (analyzedAt.get(podcast.url) ?? Date.parse(`${podcast.updated_at.replace(' ', 'T')}Z`)) >= before.getTime()) return false;
+    if (model) {
+      const costData = podcast.cost_data ? JSON.parse(podcast.cost_data) : null;
+      if ((costData?.gpt?.model || null) !== model) return false;
+    }
+    return hasTranscript(podcast.url);
+  });
+}
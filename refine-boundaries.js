@@ -0,0 +1,105 @@
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+
+const execFileAsync = promisify(execFile);
+
+// Suchfenster um jede Grenze und Parameter für ffmpeg silencedetect
+const BOUNDARY_WINDOW_MS = parseInt(process.env.BOUNDARY_WINDOW_MS ?? '3000');
+const SILENCE_THRESHOLD_DB = parseFloat(process.env.BOUNDARY_SILENCE_DB) || -35;
+const MIN_SILENCE_MS = parseInt(process.env.BOUNDARY_MIN_SILENCE_MS) || 250;
+
+const MIN_SEGMENT_MS = 1000;
+// Auf Wörter genau aufgelöste Grenzen nur bis zur direkt angrenzenden Pause verschieben
+const WORD_ALIGNED_WINDOW_MS = 500;
+
+/**
+ * Find pauses in a section of an audio file via ffmpeg silencedetect
+ * @param {string} audioPath - Local audio file
+ * @param {number} fromMs - Start of the section
+ * @param {number} toMs - End of the section
+ * @returns {Promise<Object[]>} [{ start_ms, end_ms }] in episode time
+ */
+export async function detectSilences(audioPath, fromMs, toMs) {
+  const from = Math.max(0, fromMs);
+  const { stderr } = await execFileAsync('ffmpeg', [
+    '-hide_banner', '-nostats', '-ss', String(from / 1000), '-t', String((toMs - from) / 1000), '-i', audioPath,
+    '-af', `silencedetect=noise=${SILENCE_THRESHOLD_DB}dB:d=${MIN_SILENCE_MS / 1000}`, '-f', 'null', '-',
+  ], { timeout: 30000 });
+
+  // Zeiten von silencedetect beziehen sich auf den Anfang des Ausschnitts
+  const silences = [];
+  let start = null;
+  for (const line of stderr.split('\n')) {
+    const startMatch = line.match(/silence_start: (-?[\d.]+)/);
+    if (startMatch) {
+      start = Math.max(0, parseFloat(startMatch[1]));
+      continue;
+    }
+    const endMatch = line.match(/silence_end: ([\d.]+)/);
+    if (endMatch && start !== null) {
+      silences.push({ start_ms: from + Math.round(start * 1000), end_ms: from + Math.round(parseFloat(endMatch[1]) * 1000) });
+      start = null;
+    }
+  }
+  // Stille bis zum Ende des Ausschnitts hat kein silence_end
+  if (start !== null) silences.push({ start_ms: from + Math.round(start * 1000), end_ms: toMs });
+  return silences;
+}
+
+/**
+ * Pick the pause closest to a boundary and return its middle
+ * @param {number} boundaryMs - Original boundary
+ * @param {Object[]} silences - Pauses near the boundary
+ * @param {number} windowMs - Maximum distance to a pause
+ * @returns {number|null} Snapped boundary or null if no pause is within the window
+ */
+export function snapToSilence(boundaryMs, silences, windowMs = BOUNDARY_WINDOW_MS) {
+  let best = null;
+  let bestDistance = Infinity;
+  for (const silence of silences) {
+    const distance = boundaryMs < silence.start_ms
+      ? silence.start_ms - boundaryMs
+      : Math.max(0, boundaryMs - silence.end_ms);
+    if (distance <= windowMs && distance < bestDistance) {
+      best = silence;
+      bestDistance = distance;
+    }
+  }
+  return best ? Math.round((best.start_ms + best.end_ms) / 2) : null;
+}
+
+async function refineBoundary(audioPath, boundaryMs, windowMs) {
+  const silences = await detectSilences(audioPath, boundaryMs - windowMs, boundaryMs + windowMs);
+  return snapToSilence(boundaryMs, silences, windowMs) ?? boundaryMs;
+}
+
+/**
+ * Move segment starts and ends to the nearest pause
+ * The LLM only sees second-resolution timestamps, so boundaries often cut
+ * into a sentence; word-aligned segments only move to an adjacent pause.
+ * The detected times are kept as original_start_ms and
+ * original_end_ms. BOUNDARY_WINDOW_MS=0 disables the pass.
+ * @param {string} audioPath - Local audio file the segments refer to
+ * @param {Object[]} segments - Segments with start_ms, end_ms
+ * @returns {Promise<Object[]>} Refined segments
+ */
+export async function refineBoundaries(audioPath, segments) {
+  if (!BOUNDARY_WINDOW_MS) return segments;
+
+  const refined = [];
+  for (const seg of segments) {
+    const windowMs = seg.word_aligned ? Math.min(WORD_ALIGNED_WINDOW_MS, BOUNDARY_WINDOW_MS) : BOUNDARY_WINDOW_MS;
+    const start = await refineBoundary(audioPath, seg.start_ms, windowMs);
+    const end = await refineBoundary(audioPath, seg.end_ms, windowMs);
+    // Würde das Segment dadurch kollabieren, die ursprünglichen Zeiten behalten
+    const valid = end - start >= MIN_SEGMENT_MS;
+    refined.push({
+      ...seg,
+      start_ms: valid ? start : seg.start_ms,
+      end_ms: valid ? end : seg.end_ms,
+      original_start_ms: seg.start_ms,
+      original_end_ms: seg.end_ms,
+    });
+  }
+  return refined;
+}
@@ -0,0 +1,165 @@
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import { createHash } from 'crypto';
+import { access, readdir, rename, unlink, mkdir } from 'fs/promises';
+import { join } from 'path';
+import { downloadPodcast, getEpisodeDir } from './download.js';
+import { getAudioDuration } from './split-audio.js';
+import { AD_CATEGORIES } from './categories.js';
+
+const execFileAsync = promisify(execFile);
+
+const MIN_KEEP_MS = 100;
+// Erlaubte Crossfades; jeder Wert ist eine eigene gecachte Datei und ein eigener ffmpeg-Lauf
+export const CROSSFADE_STEPS_MS = [0, 250, 500, 1000, 2000];
+
+// Laufende Renderings: Cache-Pfad → Promise, damit parallele Requests nur einmal rendern
+const renders = new Map();
+
+/**
+ * Compute the parts of the episode that stay after cutting the ad segments
+ * @param {Object[]} segments - Segments with start_ms, end_ms, category
+ * @param {number} durationMs - Total duration of the episode
+ * @returns {Object[]} [{ start_ms, end_ms }] sorted, non-overlapping
+ */
+export function getKeepRanges(segments, durationMs) {
+  const cuts = segments
+    .filter(seg => AD_CATEGORIES.includes(seg.category))
+    .map(seg => ({ start_ms: Math.max(0, seg.start_ms), end_ms: Math.min(durationMs, seg.end_ms) }))
+    .filter(seg => seg.end_ms > seg.start_ms)
+    .sort((a, b) => a.start_ms - b.start_ms);
+
+  const ranges = [];
+  let position = 0;
+  for (const cut of cuts) {
+    if (cut.start_ms - position >= MIN_KEEP_MS) {
+      ranges.push({ start_ms: position, end_ms: cut.start_ms });
+    }
+    position = Math.max(position, cut.end_ms);
+  }
+  if (durationMs - position >= MIN_KEEP_MS) {
+    ranges.push({ start_ms: position, end_ms: durationMs });
+  }
+  return ranges;
+}
+
+/**
+ * Build the ffmpeg filter graph that concatenates the kept ranges,
+ * optionally with a short crossfade at every cut
+ */
+function buildFilter(ranges, crossfadeMs) {
+  const parts = ranges.map((range, i) =>
+    `[0:a]atrim=start=${range.start_ms / 1000}:end=${range.end_ms / 1000},asetpts=PTS-STARTPTS[k${i}]`
+  );
+
+  if (ranges.length === 1) {
+    return parts[0].replace('[k0]', '[out]');
+  }
+
+  // Crossfade darf höchstens halb so lang sein wie das kürzeste Stück
+  const shortestMs = Math.min(...ranges.map(r => r.end_ms - r.start_ms));
+  const fadeSec = Math.min(crossfadeMs, shortestMs / 2) / 1000;
+
+  if (fadeSec <= 0) {
+    const inputs = ranges.map((_, i) => `[k${i}]`).join('');
+    return [...parts, `${inputs}concat=n=${ranges.length}:v=0:a=1[out]`].join(';');
+  }
+
+  const fades = [];
+  let previous = '[k0]';
+  for (let i = 1; i < ranges.length; i++) {
+    const label = i === ranges.length - 1 ? '[out]' : `[x${i}]`;
+    fades.push(`${previous}[k${i}]acrossfade=d=${fadeSec}${label}`);
+    previous = label;
+  }
+  return [...parts, ...fades].join(';');
+}
+
+/**
+ * Round a requested crossfade to the nearest allowed step
+ */
+export function normalizeCrossfade(crossfadeMs) {
+  const ms = Number.isFinite(crossfadeMs) ? crossfadeMs : 0;
+  return CROSSFADE_STEPS_MS.reduce((best, step) => (Math.abs(step - ms) < Math.abs(best - ms) ? step : best));
+}
+
+async function render(podcast, segments, crossfadeMs, hash, outputPath) {
+  const episodeDir = getEpisodeDir(podcast.url);
+  // Eigener Dateiname, damit parallel laufende Pipelines/Renderings sich nicht überschreiben
+  const { filepath: sourcePath } = await downloadPodcast(podcast.url, { filename: `render_source_${hash}.mp3` });
+
+  try {
+    const durationMs = Math.round((await getAudioDuration(sourcePath)) * 1000);
+    const ranges = getKeepRanges(segments, durationMs);
+    if (ranges.length === 0) throw new Error('Nothing left after cutting ad segments');
+
+    const removedMs = durationMs - ranges.reduce((sum, r) => sum + (r.end_ms - r.start_ms), 0);
+    console.log(`[Render] ${podcast.url}: cutting ${Math.round(removedMs / 1000)}s in ${ranges.length} part(s)`);
+
+    // Erst in eine temporäre Datei rendern, damit nie eine halbe Datei ausgeliefert wird
+    const tmpPath = `${outputPath}.tmp.mp3`;
+    const filter = buildFilter(ranges, crossfadeMs);
+    await execFileAsync(
+      'ffmpeg',
+      ['-i', sourcePath, '-filter_complex', filter, '-map', '[out]', '-c:a', 'libmp3lame', '-b:a', '128k', tmpPath, '-y'],
+      { maxBuffer: 64 * 1024 * 1024 }
+    );
+    await rename(tmpPath, outputPath);
+
+    // Renderings veralteter Segmente aufräumen, andere Crossfades derselben Segmente bleiben
+    const cutsPrefix = `clean_${hash.split('_')[0]}_`;
+    for (const file of await readdir(episodeDir)) {
+      const path = join(episodeDir, file);
+      if (file.startsWith('clean_') && !file.startsWith(cutsPrefix) && !file.includes('.tmp')) {
+        try { await unlink(path); } catch {}
+      }
+    }
+  } finally {
+    try { await unlink(sourcePath); } catch {}
+  }
+}
+
+function cacheKey(segments, crossfadeMs) {
+  const cuts = segments
+    .filter(seg => AD_CATEGORIES.includes(seg.category))
+    .map(seg => [seg.start_ms, seg.end_ms]);
+  return `${createHash('sha1').update(JSON.stringify(cuts)).digest('hex').slice(0, 12)}_${normalizeCrossfade(crossfadeMs)}`;
+}
+
+/**
+ * Path the ad-free rendering of these segments is cached at (may not exist yet)
+ */
+export function getCleanAudioPath(podcast, segments, { crossfadeMs = 0 } = {}) {
+  return join(getEpisodeDir(podcast.url), `clean_${cacheKey(segments, crossfadeMs)}.mp3`);
+}
+
+/**
+ * Render an ad-free version of an episode, cached on disk
+ * The file name contains a hash of the cut segments and the crossfade, so
+ * changed segments produce a new rendering. The crossfade is rounded to
+ * CROSSFADE_STEPS_MS, each step is cached next to the others.
+ * @param {Object} podcast - Row from the podcasts table
+ * @param {Object[]} segments - Segments to cut (non-ad categories are ignored)
+ * @param {Object} options - { crossfadeMs }
+ * @returns {Promise<string>} Path to the rendered MP3
+ */
+export async function renderCleanAudio(podcast, segments, { crossfadeMs = 0 } = {}) {
+  const fade = normalizeCrossfade(crossfadeMs);
+  const hash = cacheKey(segments, fade);
+
+  await mkdir(getEpisodeDir(podcast.url), { recursive: true });
+  const outputPath = getCleanAudioPath(podcast, segments, { crossfadeMs: fade });
+
+  try {
+    await access(outputPath);
+    return outputPath;
+  } catch {}
+
+  if (!renders.has(outputPath)) {
+    const promise = render(podcast, segments, fade, hash, outputPath)
+      .finally(() => renders.delete(outputPath));
+    renders.set(outputPath, promise);
+  }
+  await renders.get(outputPath);
+  return outputPath;
+}
@@ -0,0 +1,197 @@
+import { CATEGORY_LABELS } from './categories.js';
+
+const CONTENT_TITLE = 'Inhalt';
+
+function segmentTitle(seg) {
+  const label = CATEGORY_LABELS[seg.category] || seg.category;
+  return seg.description ? `${label}: ${seg.description}` : label;
+}
+
+/**
+ * Turn segments into a gapless chapter list: content chapters between the segments
+ * @param {Object[]} segments - Segments with start_ms, end_ms, category, description
+ * @param {number|null} durationMs - Episode duration if known; otherwise the last chapter ends at the last segment
+ * @returns {Object[]} [{ start_ms, end_ms, title, segment }] (segment is null for content)
+ */
+export function buildChapterList(segments, durationMs = null) {
+  const sorted = [...segments].sort((a, b) => a.start_ms - b.start_ms);
+  const chapters = [];
+  let position = 0;
+
+  for (const seg of sorted) {
+    if (seg.start_ms > position) {
+      chapters.push({ start_ms: position, end_ms: seg.start_ms, title: CONTENT_TITLE, segment: null });
+    }
+    const start = Math.max(seg.start_ms, position);
+    if (seg.end_ms > start) {
+      chapters.push({ start_ms: start, end_ms: seg.end_ms, title: segmentTitle(seg), segment: seg });
+      position = seg.end_ms;
+    }
+  }
+
+  if (durationMs && durationMs > position) {
+    chapters.push({ start_ms: position, end_ms: durationMs, title: CONTENT_TITLE, segment: null });
+  } else if (!durationMs) {
+    // Ohne bekannte Dauer: offenes Schlusskapitel, Formate ohne Endzeit können es nutzen
+    chapters.push({ start_ms: position, end_ms: null, title: CONTENT_TITLE, segment: null });
+  }
+
+  return chapters;
+}
+
+/**
+ * Format milliseconds as HH:MM:SS.mmm (WebVTT, Podlove Simple Chapters)
+ */
+export function formatTimestamp(ms) {
+  const hours = Math.floor(ms / 3600000);
+  const mins = Math.floor((ms % 3600000) / 60000);
+  const secs = Math.floor((ms % 60000) / 1000);
+  const millis = Math.floor(ms % 1000);
+  return `${hours.toString().padStart(2, '0')}:${mins.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}.${millis.toString().padStart(3, '0')}`;
+}
+
+/**
+ * Podcasting 2.0 chapters.json
+ */
+function toChaptersJson(segments, durationMs) {
+  const chapters = buildChapterList(segments, durationMs).map(ch => ({
+    startTime: ch.start_ms / 1000,
+    ...(ch.end_ms !== null && { endTime: ch.end_ms / 1000 }),
+    title: ch.title,
+  }));
+  return JSON.stringify({ version: '1.2.0', chapters }, null, 2);
+}
+
+/**
+ * WebVTT, one cue per segment
+ */
+function toWebVtt(segments) {
+  const cues = [...segments]
+    .sort((a, b) => a.start_ms - b.start_ms)
+    .map((seg, i) => `${i + 1}\n${formatTimestamp(seg.start_ms)} --> ${formatTimestamp(seg.end_ms)}\n${segmentTitle(seg)}`);
+  return ['WEBVTT', '', ...cues.map(cue => `${cue}\n`)].join('\n');
+}
+
+/**
+ * Audacity label track (File → Import → Labels)
+ */
+function toAudacityLabels(segments) {
+  return [...segments]
+    .sort((a, b) => a.start_ms - b.start_ms)
+    .map(seg => `${(seg.start_ms / 1000).toFixed(6)}\t${(seg.end_ms / 1000).toFixed(6)}\t${segmentTitle(seg)}`)
+    .join('\n') + '\n';
+}
+
+/**
+ * CUE sheet, one track per chapter (INDEX in MM:SS:FF, 75 frames per second)
+ */
+function toCueSheet(segments, durationMs, { url, title }) {
+  const quote = value => `"${String(value).replace(/"/g, "'")}"`;
+  const cueTime = ms => {
+    const totalFrames = Math.floor(ms * 75 / 1000);
+    const mins = Math.floor(totalFrames / (75 * 60));
+    const secs = Math.floor(totalFrames / 75) % 60;
+    const frames = totalFrames % 75;
+    return `${mins.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}:${frames.toString().padStart(2, '0')}`;
+  };
+
+  const lines = [`TITLE ${quote(title || url)}`, `FILE ${quote(url.split('/').pop().split('?')[0])} MP3`];
+  buildChapterList(segments, durationMs).forEach((ch, i) => {
+    lines.push(
+      `  TRACK ${(i + 1).toString().padStart(2, '0')} AUDIO`,
+      `    TITLE ${quote(ch.title)}`,
+      `    INDEX 01 ${cueTime(ch.start_ms)}`
+    );
+  });
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * FFMETADATA1 file, e.g. for MP4 chapters:
+ * ffmpeg -i episode.m4a -i chapters.txt -map_metadata 1 -codec copy out.m4a
+ */
+function toFfmetadata(segments, durationMs) {
+  const escape = value => value.replace(/([=;#\\\n])/g, '\\$1');
+  const lines = [';FFMETADATA1'];
+  for (const ch of buildChapterList(segments, durationMs)) {
+    if (ch.end_ms === null) continue;
+    lines.push('', '[CHAPTER]', 'TIMEBASE=1/1000', `START=${ch.start_ms}`, `END=${ch.end_ms}`, `title=${escape(ch.title)}`);
+  }
+  return lines.join('\n') + '\n';
+}
+
+function syncsafe(size) {
+  return Buffer.from([(size >> 21) & 0x7f, (size >> 14) & 0x7f, (size >> 7) & 0x7f, size & 0x7f]);
+}
+
+function id3Frame(id, data) {
+  return Buffer.concat([Buffer.from(id, 'latin1'), syncsafe(data.length), Buffer.from([0, 0]), data]);
+}
+
+function id3TextFrame(id, text) {
+  // 0x03 = UTF-8
+  return id3Frame(id, Buffer.concat([Buffer.from([0x03]), Buffer.from(text, 'utf-8')]));
+}
+
+/**
+ * ID3v2.4 tag with CHAP and CTOC frames
+ * Can be prepended to the MP3 or merged with an ID3 editor.
+ */
+function toId3(segments, durationMs) {
+  const chapters = buildChapterList(segments, durationMs).filter(ch => ch.end_ms !== null).slice(0, 255);
+  const noOffset = Buffer.from([0xff, 0xff, 0xff, 0xff]);
+
+  const chapFrames = chapters.map((ch, i) => {
+    const times = Buffer.alloc(8);
+    times.writeUInt32BE(Math.round(ch.start_ms), 0);
+    times.writeUInt32BE(Math.round(ch.end_ms), 4);
+    return id3Frame('CHAP', Buffer.concat([
+      Buffer.from(`ch${i}\0`, 'latin1'),
+      times,
+      noOffset,
+      noOffset,
+      id3TextFrame('TIT2', ch.title),
+    ]));
+  });
+
+  // 0x03 = Top-Level + geordnet
+  const ctoc = id3Frame('CTOC', Buffer.concat([
+    Buffer.from('toc\0', 'latin1'),
+    Buffer.from([0x03, chapters.length]),
+    ...chapters.map((_, i) => Buffer.from(`ch${i}\0`, 'latin1')),
+  ]));
+
+  const frames = Buffer.concat([ctoc, ...chapFrames]);
+  const header = Buffer.concat([Buffer.from('ID3', 'latin1'), Buffer.from([0x04, 0x00, 0x00]), syncsafe(frames.length)]);
+  return Buffer.concat([header, frames]);
+}
+
+export const EXPORT_FORMATS = {
+  chapters: { contentType: 'application/json+chapters', extension: 'chapters.json', render: toChaptersJson },
+  vtt: { contentType: 'text/vtt; charset=utf-8', extension: 'vtt', render: toWebVtt },
+  audacity: { contentType: 'text/plain; charset=utf-8', extension: 'labels.txt', render: toAudacityLabels },
+  cue: { contentType: 'application/x-cue; charset=utf-8', extension: 'cue', render: toCueSheet },
+  ffmetadata: { contentType: 'text/plain; charset=utf-8', extension: 'ffmetadata.txt', render: toFfmetadata },
+  id3: { contentType: 'application/octet-stream', extension: 'id3', render: toId3 },
+};
+
+/**
+ * Render segments in one of the EXPORT_FORMATS
+ * @param {string} format - Key of EXPORT_FORMATS
+ * @param {Object[]} segments - Segments to export
+ * @param {Object} options - { url, title, durationMs }
+ * @returns {Object} { body, contentType, filename }
+ */
+export function exportSegments(format, segments, { url, title, durationMs = null }) {
+  const exporter = EXPORT_FORMATS[format];
+  if (!exporter) {
+    throw new Error(`Unknown export format "${format}" (available: ${Object.keys(EXPORT_FORMATS).join(', ')})`);
+  }
+
+  const baseName = (title || url.split('/').pop().split('?')[0]).replace(/\.[^.]+$/, '').replace(/[^\w.-]+/g, '_');
+  return {
+    body: exporter.render(segments, durationMs, { url, title }),
+    contentType: exporter.contentType,
+    filename: `${baseName}.${exporter.extension}`,
+  };
+}
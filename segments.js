@@ -0,0 +1,268 @@
+import { getCommunitySegments, getSegmentScores } from './database.js';
+import { SEGMENT_CATEGORIES, categoriesCompete } from './categories.js';
+import { applyWhitelist } from './whitelist.js';
+
+// Ab diesem Score gilt eine Community-Einreichung als bestätigt bzw. ein Segment als abgelehnt
+export const CONFIRM_SCORE = parseInt(process.env.COMMUNITY_CONFIRM_SCORE) || 2;
+const REJECT_SCORE = parseInt(process.env.COMMUNITY_REJECT_SCORE) || 2;
+
+/**
+ * Stable ID of an AI segment, used as vote target
+ */
+export function aiSegmentId(seg) {
+  return `ai:${seg.start_ms}-${seg.end_ms}`;
+}
+
+/**
+ * Validate a submitted segment
+ * @param {Object} seg - { start_ms, end_ms, category, description }
+ * @returns {string|null} Error message or null if valid
+ */
+export function validateSegment(seg) {
+  if (!Number.isInteger(seg.start_ms) || !Number.isInteger(seg.end_ms)) {
+    return 'start_ms und end_ms müssen ganze Zahlen sein';
+  }
+  if (seg.start_ms < 0 || seg.end_ms <= seg.start_ms) {
+    return 'end_ms muss größer als start_ms sein, start_ms >= 0';
+  }
+  if (!SEGMENT_CATEGORIES.includes(seg.category)) {
+    return `category muss eine von ${SEGMENT_CATEGORIES.join(', ')} sein`;
+  }
+  if (seg.description !== undefined && seg.description !== null && (typeof seg.description !== 'string' || seg.description.length > 500)) {
+    return 'description muss ein String mit max. 500 Zeichen sein';
+  }
+  return null;
+}
+
+const MAX_SEGMENTS = 500;
+
+/**
+ * ID of a stored segment as shown to clients (AI, fingerprint or manual)
+ */
+export function storedSegmentId(seg) {
+  return seg.id || aiSegmentId(seg);
+}
+
+function sameSegment(a, b) {
+  return a.start_ms === b.start_ms && a.end_ms === b.end_ms && a.category === b.category && (a.description || '') === (b.description || '');
+}
+
+/**
+ * A segment set or changed by a reviewer; corrected_from keeps the ID it replaced
+ */
+function manualSegment({ start_ms, end_ms, category, description }, correctedFrom = null) {
+  return {
+    start_ms,
+    end_ms,
+    category,
+    description: description || '',
+    id: `manual:${start_ms}-${end_ms}`,
+    source: 'manual',
+    ...(correctedFrom && { corrected_from: correctedFrom }),
+  };
+}
+
+function finishEdit(segments) {
+  if (segments.length > MAX_SEGMENTS) return { error: `Maximal ${MAX_SEGMENTS} Segmente pro Folge` };
+  return { segments: segments.sort((a, b) => a.start_ms - b.start_ms) };
+}
+
+/**
+ * Replace all stored segments of an episode (PUT)
+ * Submitted segments whose id and values match a stored one are kept as they
+ * are, everything else becomes a manual correction.
+ * @param {Object[]} stored - Segments of the active version
+ * @param {Object[]} submitted - Complete new list
+ * @returns {Object} { segments } or { error }
+ */
+export function replaceSegments(stored, submitted) {
+  if (!Array.isArray(submitted)) return { error: 'segments muss ein Array sein' };
+
+  const byId = new Map(stored.map(seg => [storedSegmentId(seg), seg]));
+  const result = [];
+  for (const seg of submitted) {
+    const error = validateSegment(seg);
+    if (error) return { error };
+    const previous = seg.id ? byId.get(seg.id) : null;
+    result.push(previous && sameSegment(previous, seg) ? previous : manualSegment(seg, previous ? seg.id : null));
+  }
+  return finishEdit(result);
+}
+
+/**
+ * Apply individual edits to the stored segments (PATCH)
+ * @param {Object[]} stored - Segments of the active version
+ * @param {Object} edits - { update: [{ id, ...fields }], delete: [id], add: [segment] }
+ * @returns {Object} { segments } or { error }
+ */
+export function patchSegments(stored, { update = [], delete: remove = [], add = [] } = {}) {
+  if (!Array.isArray(update) || !Array.isArray(remove) || !Array.isArray(add)) {
+    return { error: 'update, delete und add müssen Arrays sein' };
+  }
+
+  const ids = new Set(stored.map(storedSegmentId));
+  const missing = [...remove, ...update.map(u => u.id)].find(id => !ids.has(id));
+  if (missing !== undefined) return { error: `Segment nicht gefunden: ${missing}` };
+
+  const updates = new Map(update.map(({ id, ...fields }) => [id, fields]));
+  const result = [];
+  for (const seg of stored) {
+    const id = storedSegmentId(seg);
+    if (remove.includes(id)) continue;
+
+    const fields = updates.get(id);
+    if (!fields) {
+      result.push(seg);
+      continue;
+    }
+    const next = {
+      start_ms: fields.start_ms ?? seg.start_ms,
+      end_ms: fields.end_ms ?? seg.end_ms,
+      category: fields.category ?? seg.category,
+      description: fields.description ?? seg.description,
+    };
+    const error = validateSegment(next);
+    if (error) return { error };
+    result.push(sameSegment(seg, next) ? seg : manualSegment(next, id));
+  }
+
+  for (const seg of add) {
+    const error = validateSegment(seg);
+    if (error) return { error };
+    result.push(manualSegment(seg));
+  }
+  return finishEdit(result);
+}
+
+export const REVIEW_ACTIONS = ['confirm', 'reject'];
+
+/**
+ * Confirm or reject a single segment from the review queue
+ * Confirmed segments get confidence 1 and are kept by a reanalysis like
+ * manual corrections, rejected ones are removed.
+ * @param {Object[]} stored - Segments of the active version
+ * @param {string} id - Segment ID
+ * @param {string} action - 'confirm' | 'reject'
+ * @returns {Object} { segments } or { error }
+ */
+export function reviewSegment(stored, id, action) {
+  if (!REVIEW_ACTIONS.includes(action)) return { error: `action muss eine von ${REVIEW_ACTIONS.join(', ')} sein` };
+  if (!stored.some(seg => storedSegmentId(seg) === id)) return { error: `Segment nicht gefunden: ${id}` };
+
+  if (action === 'reject') return finishEdit(stored.filter(seg => storedSegmentId(seg) !== id));
+  return finishEdit(stored.map(seg => (storedSegmentId(seg) === id ? { ...seg, confidence: 1, reviewed: 'confirmed' } : seg)));
+}
+
+function overlapsCompeting(seg, others) {
+  return others.some(o => o.start_ms < seg.end_ms && o.end_ms > seg.start_ms && categoriesCompete(o.category, seg.category));
+}
+
+/**
+ * Combine two sets of segments, the preferred set wins where they overlap
+ * e.g. fingerprint matches (confirmed spots) over LLM segments, or manual
+ * corrections over a new detection run. Overlaps only count between
+ * competing categories (see categoriesCompete).
+ * @param {Object[]} preferred - e.g. from matchAdFingerprints()
+ * @param {Object[]} others - e.g. from detectAdSegments()
+ * @returns {Object[]} Segments sorted by start
+ */
+export function combineDetectedSegments(preferred, others) {
+  return [
+    ...preferred,
+    ...others.filter(seg => !overlapsCompeting(seg, preferred)),
+  ].sort((a, b) => a.start_ms - b.start_ms);
+}
+
+/**
+ * Merge AI segments with community submissions
+ * - AI segments with a score <= -REJECT_SCORE are dropped
+ * - Confirmed community segments (score >= CONFIRM_SCORE) replace every
+ *   AI segment of a competing category they overlap and are added where
+ *   the AI found nothing
+ * - Pending or rejected submissions are left out
+ * @param {Object[]} aiSegments - Stored segments of the episode
+ * @param {Object[]} communitySegments - Rows from community_segments incl. score
+ * @param {Object} scores - Vote totals per target
+ * @returns {Object[]} Segments with id, source and votes, sorted by start
+ */
+export function mergeSegmentSources(aiSegments, communitySegments, scores = {}) {
+  const confirmed = communitySegments
+    .filter(c => c.score >= CONFIRM_SCORE)
+    .map(c => ({
+      id: `community:${c.id}`,
+      start_ms: c.start_ms,
+      end_ms: c.end_ms,
+      category: c.category,
+      description: c.description || '',
+      source: 'community',
+      votes: c.score,
+    }));
+
+  const ai = aiSegments
+    .map(seg => {
+      const id = seg.id || aiSegmentId(seg);
+      return { ...seg, id, source: seg.source || 'ai', votes: scores[id] || 0 };
+    })
+    .filter(seg => seg.votes > -REJECT_SCORE)
+    .filter(seg => !overlapsCompeting(seg, confirmed));
+
+  return [...ai, ...confirmed].sort((a, b) => a.start_ms - b.start_ms);
+}
+
+/**
+ * The segments served for an episode: stored detection merged with community input,
+ * without categories that are whitelisted for the episode
+ * @param {Object} podcast - Row from the podcasts table
+ * @returns {Object[]} Merged segments
+ */
+export function getEffectiveSegments(podcast) {
+  const { segments = [] } = JSON.parse(podcast.segments);
+  return applyWhitelist(podcast.url, mergeSegmentSources(segments, getCommunitySegments(podcast.url), getSegmentScores(podcast.url)));
+}
+
+/**
+ * Compare two detection results
+ * Segments with identical times and category are unchanged. Remaining
+ * segments of the same category that overlap are paired as shifted
+ * (largest overlap first), everything else was added or removed.
+ * @param {Object[]} from - Older segments
+ * @param {Object[]} to - Newer segments
+ * @returns {Object} { added, removed, shifted: [{ from, to, start_delta_ms, end_delta_ms }], unchanged }
+ */
+export function diffSegments(from, to) {
+  const key = seg => `${seg.category}:${seg.start_ms}-${seg.end_ms}`;
+  const toKeys = new Set(to.map(key));
+  const fromKeys = new Set(from.map(key));
+  const unchanged = from.filter(seg => toKeys.has(key(seg)));
+  const oldRest = from.filter(seg => !toKeys.has(key(seg)));
+  const newRest = to.filter(seg => !fromKeys.has(key(seg)));
+
+  const candidates = [];
+  oldRest.forEach((a, i) => newRest.forEach((b, j) => {
+    const overlap = Math.min(a.end_ms, b.end_ms) - Math.max(a.start_ms, b.start_ms);
+    if (a.category === b.category && overlap > 0) candidates.push({ i, j, overlap });
+  }));
+  candidates.sort((a, b) => b.overlap - a.overlap);
+
+  const pairedOld = new Set();
+  const pairedNew = new Set();
+  const shifted = [];
+  for (const { i, j } of candidates) {
+    if (pairedOld.has(i) || pairedNew.has(j)) continue;
+    pairedOld.add(i);
+    pairedNew.add(j);
+    shifted.push({
+      from: oldRest[i],
+      to: newRest[j],
+      start_delta_ms: newRest[j].start_ms - oldRest[i].start_ms,
+      end_delta_ms: newRest[j].end_ms - oldRest[i].end_ms,
+    });
+  }
+
+  return {
+    added: newRest.filter((_, j) => !pairedNew.has(j)),
+    removed: oldRest.filter((_, i) => !pairedOld.has(i)),
+    shifted: shifted.sort((a, b) => a.to.start_ms - b.to.start_ms),
+    unchanged: unchanged.length,
+  };
+}
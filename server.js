@@ -1,42 +1,62 @@
 import express from 'express';
 import dotenv from 'dotenv';
 import https from 'https';
-import { readFileSync, writeFileSync, existsSync } from 'fs';
-import { getPodcastByUrl, savePodcast, initDatabase, trackRequestedUrl, getAllPodcasts, getRequestedUrls, isUrlRequested, deleteRequestedUrl, deleteRequestedUrlByUrl } from './database.js';
-import { downloadPodcast } from './download.js';
-import { transcribeAudio } from './transcribe.js';
+import { readFileSync } from 'fs';
+import { getPodcastByUrl, getPodcastById, savePodcast, initDatabase, trackRequestedUrl, getAllPodcasts, getRequestedUrls, isUrlRequested, deleteRequestedUrl, deleteRequestedUrlByUrl, addFeed, getFeedByUrl, getFeeds, deleteFeed, getJob, findActiveJobByUrl, addCommunitySegment, getCommunitySegmentById, getCommunitySegments, voteSegment, getSegmentScores, listAdFingerprints, deleteAdFingerprint, getApiKeys, revokeApiKey, addCostEntry, saveTranscript, searchTranscripts, hasTranscript, getSegmentVersions, getSegmentVersion, activateSegmentVersion, getTranscript, getAllPodcastSegments, getActiveJobs, addAudioVariantRequest, getWhitelistRules, getWhitelistRule, addWhitelistRule, updateWhitelistRule, deleteWhitelistRule } from './database.js';
+import { parseWhitelistRule, parseRuleOptions, getWhitelistMatch, findFullWhitelistRule, isExpired, applyWhitelist } from './whitelist.js';
+import { parseMinConfidence, filterByConfidence, segmentConfidence, REVIEW_CONFIDENCE_THRESHOLD } from './confidence.js';
+import { getEffectiveSegments, validateSegment, aiSegmentId, storedSegmentId, replaceSegments, patchSegments, reviewSegment, combineDetectedSegments, diffSegments, CONFIRM_SCORE } from './segments.js';
+import { registerJobHandler, enqueueJob, startJobQueue, formatJob } from './job-queue.js';
+import { getJobProgress, subscribeJobEvents } from './job-progress.js';
+import { downloadPodcast, isHttpUrl } from './download.js';
+import { transcribeAudio, getTranscriptionProvider } from './transcribe.js';
 import { detectAdSegments } from './detect-ads.js';
+import { getLLMConfig } from './llm.js';
 import { splitAudioIfNeeded } from './split-audio.js';
-import { unlink, writeFile, appendFile, access } from 'fs/promises';
-import { join, dirname } from 'path';
-import { fileURLToPath } from 'url';
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = dirname(__filename);
+import { fetchFeed, fetchFeedXml, pollFeed, startFeedPolling } from './feeds.js';
+import { rewriteFeed } from './feed-proxy.js';
+import { renderCleanAudio } from './render-audio.js';
+import { AD_CATEGORIES, SEGMENT_CATEGORIES, CATEGORY_LABELS, parseCategoryFilter } from './categories.js';
+import { exportSegments, EXPORT_FORMATS } from './segment-export.js';
+import { authenticate, requireRole, createApiKey, ROLES } from './auth.js';
+import { rateLimit, dailyJobQuota } from './rate-limit.js';
+import { estimateEpisodeCost, reserveBudget, releaseBudget, getBudgetStatus } from './budget.js';
+import { buildCostData, aggregateCosts, costsToCsv, COST_GROUPS } from './costs.js';
+import { refineBoundaries } from './refine-boundaries.js';
+import { reanalyzeEpisode, selectEpisodesForReanalysis } from './reanalyze.js';
+import { formatTranscript, toTranscriptRows, importTranscriptFiles, TRANSCRIPT_FILE } from './transcript.js';
+import { recordReferenceVariant, resolveVariantSegments, realignVariant } from './audio-variants.js';
+import { computeFingerprint, saveEpisodeFingerprint, matchAdFingerprints, registerAdFingerprints } from './fingerprint.js';
+import { unlink, writeFile, appendFile } from 'fs/promises';
+import { join } from 'path';
 
 // Load environment variables
 dotenv.config();
 
-// Whitelist
-const WHITELIST_PATH = join(__dirname, 'whitelist.json');
-
-function loadWhitelist() {
-  if (!existsSync(WHITELIST_PATH)) return { hosts: [] };
-  return JSON.parse(readFileSync(WHITELIST_PATH, 'utf-8'));
-}
-
-function saveWhitelist(data) {
-  writeFileSync(WHITELIST_PATH, JSON.stringify(data, null, 2));
-}
-
-function isWhitelisted(url) {
-  const { hosts } = loadWhitelist();
-  return hosts.find(h => url.includes(h.match)) || null;
-}
-
 const PORT = process.env.PORT || 3000;
+const FEED_POLL_INTERVAL_MINUTES = parseFloat(process.env.FEED_POLL_INTERVAL_MINUTES) || 30;
+const DEFAULT_FEED_BACKFILL = 1;
+const FEED_BACKFILL_SETTING = parseInt(process.env.FEED_BACKFILL ?? String(DEFAULT_FEED_BACKFILL));
+const FEED_BACKFILL = FEED_BACKFILL_SETTING >= 0 ? FEED_BACKFILL_SETTING : DEFAULT_FEED_BACKFILL;
+const CLEAN_AUDIO_CROSSFADE_MS = parseInt(process.env.CLEAN_AUDIO_CROSSFADE_MS) || 0;
+const JOB_CONCURRENCY = parseInt(process.env.JOB_CONCURRENCY) || 1;
+const JOB_MAX_ATTEMPTS = parseInt(process.env.JOB_MAX_ATTEMPTS) || 3;
+const JOB_RETRY_BASE_SECONDS = parseFloat(process.env.JOB_RETRY_BASE_SECONDS) || 60;
+const FINGERPRINT_SKIP_LLM = process.env.FINGERPRINT_SKIP_LLM === 'true';
+const RATE_LIMIT_ANALYZE = parseInt(process.env.RATE_LIMIT_ANALYZE ?? '120');
+const RATE_LIMIT_ANALYZE_WINDOW_SECONDS = parseFloat(process.env.RATE_LIMIT_ANALYZE_WINDOW_SECONDS) || 60;
+const RATE_LIMIT_PROCESS = parseInt(process.env.RATE_LIMIT_PROCESS ?? '10');
+const RATE_LIMIT_PROCESS_WINDOW_SECONDS = parseFloat(process.env.RATE_LIMIT_PROCESS_WINDOW_SECONDS) || 60;
+const CORS_ORIGINS = (process.env.CORS_ORIGINS || '*').split(',').map(origin => origin.trim()).filter(Boolean);
+
+// Backends früh prüfen, damit Tippfehler nicht erst im ersten Job auffallen
+const transcriptionProvider = getTranscriptionProvider().name;
+const llmConfig = getLLMConfig();
+console.log(`Transcription provider: ${transcriptionProvider}`);
+console.log(`LLM: ${llmConfig.model} via ${llmConfig.provider}${llmConfig.baseURL ? ` (${llmConfig.baseURL})` : ''}`);
 
-if (!process.env.OPENAI_API_KEY) {
+// Der OpenAI-Key wird nur gebraucht, wenn eines der Backends OpenAI ist
+if ((transcriptionProvider === 'openai' || (llmConfig.provider === 'openai' && !process.env.LLM_API_KEY)) && !process.env.OPENAI_API_KEY) {
   console.error('ERROR: OPENAI_API_KEY environment variable is not set!');
   console.error('Please create a .env file with your OpenAI API key.');
   process.exit(1);
@@ -45,19 +65,42 @@ if (!process.env.OPENAI_API_KEY) {
 // Initialize database
 await initDatabase();
 
+if (!process.env.ADMIN_API_KEY && !getApiKeys().some(key => key.role === 'admin' && !key.revoked_at)) {
+  console.warn('WARNING: No admin API key configured – set ADMIN_API_KEY to manage keys and trigger processing.');
+}
+
+if (FEED_BACKFILL !== FEED_BACKFILL_SETTING) {
+  console.warn(`WARNING: FEED_BACKFILL="${process.env.FEED_BACKFILL}" is not a number >= 0 – using ${DEFAULT_FEED_BACKFILL}.`);
+}
+
 const app = express();
 
 app.use(express.json());
 
-// CORS für lokales Admin-Dashboard
+// Hinter einem Reverse-Proxy: X-Forwarded-For auswerten, damit das Rate-Limit die echte Client-IP sieht
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY;
+  app.set('trust proxy', trustProxy === 'true' ? true : /^\d+$/.test(trustProxy) ? parseInt(trustProxy) : trustProxy);
+}
+
+// CORS für Admin-Dashboard und Web-Player, erlaubte Origins über CORS_ORIGINS
 app.use((req, res, next) => {
-  res.setHeader('Access-Control-Allow-Origin', '*');
-  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, DELETE, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+  const origin = req.get('Origin');
+  if (CORS_ORIGINS.includes('*')) {
+    res.setHeader('Access-Control-Allow-Origin', '*');
+  } else if (origin && CORS_ORIGINS.includes(origin)) {
+    res.setHeader('Access-Control-Allow-Origin', origin);
+    res.setHeader('Vary', 'Origin');
+  }
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, PATCH, DELETE, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-API-Key');
   if (req.method === 'OPTIONS') return res.sendStatus(204);
   next();
 });
 
+// API-Key auswerten (X-API-Key oder Authorization: Bearer); ohne Key bleibt der Request anonym
+app.use(authenticate);
+
 // Request-Logger
 app.use((req, res, next) => {
   const start = Date.now();
@@ -69,25 +112,50 @@ app.use((req, res, next) => {
 });
 
 /**
- * GET /analyze?url=<podcast_url>
+ * GET /analyze?url=<podcast_url>&duration_ms=<ms>&categories=<liste>
  *
  * Analyzes a podcast episode for advertisement segments.
  * Returns cached results if available, otherwise downloads,
  * transcribes, and analyzes the podcast.
+ * With duration_ms the segments are matched to the client's download
+ * (dynamic ad insertion), see audio-variants.js.
+ * categories=sponsor,intro,... or "all" picks the categories to return,
+ * default are the ad categories. min_confidence=0.7 drops uncertain segments.
  */
-app.get('/analyze', (req, res) => {
+// Öffentliche Endpunkte (/analyze, /feed) teilen sich ein Limit pro Client
+const analyzeRateLimit = rateLimit({
+  name: 'analyze',
+  limit: RATE_LIMIT_ANALYZE,
+  windowMs: RATE_LIMIT_ANALYZE_WINDOW_SECONDS * 1000,
+  // Das Admin-Dashboard fragt /analyze für jede Folge der Liste ab
+  exemptRoles: ['reviewer', 'admin'],
+});
+
+app.get('/analyze', analyzeRateLimit, (req, res) => {
   const { url } = req.query;
 
   if (!url) {
     return res.status(400).json({ error: 'Missing required parameter: url' });
   }
 
-  const whitelisted = isWhitelisted(url);
+  const durationMs = req.query.duration_ms !== undefined ? parseInt(req.query.duration_ms) : undefined;
+  if (durationMs !== undefined && !(durationMs > 0)) {
+    return res.status(400).json({ error: 'duration_ms muss eine positive Zahl sein' });
+  }
+
+  const { categories, error: categoryError } = parseCategoryFilter(req.query.categories);
+  if (categoryError) return res.status(400).json({ error: categoryError });
+
+  const { minConfidence, error: confidenceError } = parseMinConfidence(req.query.min_confidence);
+  if (confidenceError) return res.status(400).json({ error: confidenceError });
+
+  const whitelisted = findFullWhitelistRule(url);
   if (whitelisted) {
     return res.json({
       cached: false,
       whitelisted: true,
       host: whitelisted.name,
+      rule_id: whitelisted.id,
       url,
       segments: [],
       message: `${whitelisted.name} ist auf der Whitelist – keine Werbung erwartet.`
@@ -97,43 +165,140 @@ app.get('/analyze', (req, res) => {
   const cached = getPodcastByUrl(url);
 
   if (cached) {
+    const segments = filterByConfidence(getEffectiveSegments(cached).filter(seg => categories.includes(seg.category)), minConfidence);
+    if (durationMs === undefined) {
+      return res.json({
+        cached: true,
+        url: cached.url,
+        title: cached.title,
+        segments,
+      });
+    }
+
+    // Dynamische Werbung: Segmente der Fassung liefern, die der Client hat
+    // Einen Realign (erneuter Download) lösen nur Clients mit API-Key aus, pro Dauer einmal
+    const resolved = resolveVariantSegments(cached, segments, durationMs);
+    let realignJob = findActiveJobByUrl(cached.url, 'realign');
+    if (!realignJob && resolved.canRealign && req.apiKey) {
+      addAudioVariantRequest(cached.url, durationMs);
+      realignJob = enqueueJob(cached.url, 'realign');
+    }
     return res.json({
       cached: true,
       url: cached.url,
       title: cached.title,
-      ...JSON.parse(cached.segments)
+      segments: resolved.segments,
+      reliable: resolved.reliable,
+      variant: resolved.variant,
+      ...(!resolved.reliable && { realigning: !!realignJob }),
     });
   }
 
   // URL merken für späteren Review
   trackRequestedUrl(url);
 
-  // Prüfen ob ein Job für diese URL läuft (in jobs-Map)
-  const normalizedUrl = (() => { try { const u = new URL(url); u.search = ''; return u.toString(); } catch { return url; } })();
-  const runningJob = [...jobs.values()].find(j => {
-    try { const u = new URL(j.url); u.search = ''; return u.toString() === normalizedUrl && j.status === 'running'; } catch { return j.url === url && j.status === 'running'; }
-  });
+  // Prüfen ob ein Job für diese URL wartet oder läuft
+  const activeJob = findActiveJobByUrl(url);
 
   return res.status(404).json({
     error: 'not_analyzed',
-    analyzing: !!runningJob,
-    message: runningJob
+    analyzing: !!activeJob,
+    ...(activeJob && { status: activeJob.status }),
+    message: activeJob?.status === 'running'
       ? 'Analysis is currently running for this episode.'
-      : 'This episode has not been analyzed yet.',
+      : activeJob?.status === 'deferred'
+        ? 'Analysis is deferred until the cost budget allows it.'
+        : activeJob
+          ? 'Analysis is queued for this episode.'
+          : 'This episode has not been analyzed yet.',
   });
 });
 
-// Laufende Jobs: jobId → { status, url, startedAt, result?, error? }
-const jobs = new Map();
+/**
+ * GET /segments?url=<podcast_url>
+ * Alle Community-Einreichungen einer Folge inkl. Score (auch noch nicht bestätigte).
+ */
+app.get('/segments', (req, res) => {
+  const { url } = req.query;
+  if (!url) return res.status(400).json({ error: 'Missing required parameter: url' });
+  const segments = getCommunitySegments(url);
+  res.json({ count: segments.length, segments });
+});
+
+// Einreicher-/Wähler-ID für Community-Segmente: immer der API-Key, nie ein Body-Feld
+const communityIdentity = (req) => `key:${req.apiKey.id ?? 'admin'}`;
+
+/**
+ * POST /segments
+ * { "url": "...", "start_ms": 0, "end_ms": 30000, "category": "sponsor", "description": "..." }
+ * Reicht ein Segment aus der Community ein. Die Einreichung zählt als Up-Vote des Einreichers.
+ * Einreicher ist der API-Key, nicht eine vom Client gelieferte ID.
+ */
+app.post('/segments', requireRole('client'), (req, res) => {
+  const { url, start_ms, end_ms, category, description } = req.body;
+  if (!url) return res.status(400).json({ error: 'url ist erforderlich' });
+
+  const error = validateSegment({ start_ms, end_ms, category, description });
+  if (error) return res.status(400).json({ error });
+
+  const segment = addCommunitySegment({ url, start_ms, end_ms, category, description, submitterId: communityIdentity(req) });
+  res.status(201).json({ success: true, segment: { ...segment, id: `community:${segment.id}` } });
+});
+
+/**
+ * POST /segments/:id/vote
+ * { "url": "...", "vote": "up" | "down" }
+ * Up-/Down-Vote für ein Segment. :id ist die id aus /analyze,
+ * also 'community:<n>' oder 'ai:<start_ms>-<end_ms>' (dann ist url erforderlich).
+ * Eine Stimme pro API-Key; erneutes Voten ändert die bestehende Stimme.
+ */
+app.post('/segments/:id/vote', requireRole('client'), (req, res) => {
+  const { vote } = req.body;
+  const target = req.params.id;
+  if (!['up', 'down'].includes(vote)) return res.status(400).json({ error: 'vote muss "up" oder "down" sein' });
+
+  let url = req.body.url;
+  if (target.startsWith('community:')) {
+    const segment = getCommunitySegmentById(parseInt(target.slice('community:'.length)));
+    if (!segment) return res.status(404).json({ error: 'Segment nicht gefunden' });
+    url = segment.podcast_url;
+  } else if (/^ai:\d+-\d+$/.test(target)) {
+    if (!url) return res.status(400).json({ error: 'url ist für KI-Segmente erforderlich' });
+    const podcast = getPodcastByUrl(url);
+    const { segments = [] } = podcast ? JSON.parse(podcast.segments) : {};
+    if (!segments.some(seg => aiSegmentId(seg) === target)) {
+      return res.status(404).json({ error: 'Segment nicht gefunden' });
+    }
+  } else {
+    return res.status(400).json({ error: 'Ungültige Segment-ID' });
+  }
+
+  const previousScore = getSegmentScores(url)[target] || 0;
+  const score = voteSegment(url, target, communityIdentity(req), vote === 'up' ? 1 : -1);
+
+  // Frisch bestätigte Einreichung → als Fingerprint für künftige Folgen merken.
+  // Nur bei der Stimme, die die Schwelle überschreitet, nicht bei jeder weiteren.
+  if (target.startsWith('community:') && previousScore < CONFIRM_SCORE && score >= CONFIRM_SCORE) {
+    const segment = getCommunitySegmentById(parseInt(target.slice('community:'.length)));
+    registerAdFingerprints(url, [segment])
+      .catch(error => console.error('[Fingerprint] Error:', error.message));
+  }
+
+  res.json({ success: true, id: target, score });
+});
 
 /**
  * POST /process
  * { "url": "https://..." }
  *
  * Startet die Analyse-Pipeline für eine URL.
- * Nur für serverseitige Aufrufe vorgesehen (kein App-Zugriff).
+ * Nur mit Admin-Key (kein App-Zugriff).
  */
-app.post('/process', async (req, res) => {
+app.post('/process', requireRole('admin'), rateLimit({
+  name: 'process',
+  limit: RATE_LIMIT_PROCESS,
+  windowMs: RATE_LIMIT_PROCESS_WINDOW_SECONDS * 1000,
+}), dailyJobQuota('process'), async (req, res) => {
   const { url } = req.body;
 
   if (!url) {
@@ -150,113 +315,684 @@ app.post('/process', async (req, res) => {
     });
   }
 
-  const jobId = `job_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
-  jobs.set(jobId, { status: 'running', url, startedAt: Date.now() });
+  // In die Queue stellen, sofort jobId zurückgeben
+  const job = enqueueJob(url, 'process', { apiKeyId: req.apiKey.id });
+  res.json({ jobId: job.id, status: job.status, url });
+});
+
+// Geschätzte Kosten eines Jobs reservieren; wirft bei deferred/refused
+function reserveEpisodeBudget(jobId, estimate) {
+  console.log(`[Job ${jobId}] Estimated cost: $${estimate.total.toFixed(4)} (${Math.round(estimate.durationSeconds / 60)} min)`);
+  reserveBudget(jobId, estimate.total);
+}
 
-  // Asynchron starten, sofort jobId zurückgeben
-  res.json({ jobId, status: 'running', url });
+/**
+ * Download → Splitting → Transkription → Ad-Detection → DB
+ * Handler für Jobs vom Typ 'process'. Fehler werfen → Queue entscheidet über Retry.
+ * Fortschritt geht über reportProgress an GET /process/:jobId(/events).
+ */
+async function runPipeline(job, reportProgress) {
+  const { id: jobId, url } = job;
+  let downloadedFilePath;
+  let audioChunks = [];
 
-  // Pipeline im Hintergrund
-  (async () => {
-    const episodeDir = join(__dirname, 'episodes', jobId);
-    let downloadedFilePath;
-    let audioChunks = [];
+  try {
+    // Kosten vor dem Download schätzen (ffprobe auf der URL); über Budget → deferred/refused.
+    // So lädt ein zurückgestellter Job nicht bei jedem Retry die ganze Folge neu.
+    let estimate = null;
+    if (isHttpUrl(url)) {
+      try {
+        estimate = await estimateEpisodeCost(url);
+      } catch (error) {
+        console.warn(`[Job ${jobId}] Estimating cost from URL failed, retrying after download:`, error.message);
+      }
+    }
+    if (estimate) reserveEpisodeBudget(jobId, estimate);
 
+    console.log(`\n[Job ${jobId}] Downloading: ${url}`);
+    const dl = await downloadPodcast(url, {
+      onProgress: ({ received, total }) => reportProgress('download', { current: received, total, unit: 'bytes' }),
+    });
+    downloadedFilePath = dl.filepath;
+    const transcriptPath = join(dl.episodeDir, TRANSCRIPT_FILE);
+
+    // Schätzung per URL gescheitert: aus der lokalen Datei nachholen
+    if (!estimate) {
+      estimate = await estimateEpisodeCost(downloadedFilePath);
+      reserveEpisodeBudget(jobId, estimate);
+    }
+
+    // Bekannte Werbespots per Fingerprint suchen; ein Fehler hier bricht die Pipeline nicht ab
+    let fingerprintSegments = [];
+    reportProgress('fingerprint');
     try {
-      console.log(`\n[Job ${jobId}] Downloading: ${url}`);
-      const dl = await downloadPodcast(url);
-      downloadedFilePath = dl.filepath;
-      const transcriptPath = join(dl.episodeDir, 'transcript_timestamped.txt');
-
-      audioChunks = await splitAudioIfNeeded(downloadedFilePath, dl.episodeDir);
-
-      let fullTranscription = { text: '', segments: [] };
-      let transcriptExists = false;
-      try { await access(transcriptPath); transcriptExists = true; } catch {}
-
-      let timeOffset = 0;
-      let totalWhisperSeconds = 0;
-      let totalWhisperCost = 0;
-      for (let i = 0; i < audioChunks.length; i++) {
-        const chunkTranscription = await transcribeAudio(audioChunks[i], dl.episodeDir);
-        totalWhisperSeconds += chunkTranscription.durationSeconds || 0;
-        totalWhisperCost += chunkTranscription.whisperCost || 0;
-        const adjustedSegments = chunkTranscription.segments.map(seg => ({
-          ...seg,
-          start: seg.start + timeOffset,
-          end: seg.end + timeOffset,
-        }));
-        const timestampedText = adjustedSegments
-          .map(seg => `[${formatTime(seg.start)} - ${formatTime(seg.end)}] ${seg.text}`)
-          .join('\n');
-
-        if (i === 0 && !transcriptExists) {
-          await writeFile(transcriptPath, timestampedText + '\n');
-        } else {
-          await appendFile(transcriptPath, timestampedText + '\n');
-        }
-
-        fullTranscription.text += ' ' + chunkTranscription.text;
-        fullTranscription.segments.push(...adjustedSegments);
-        timeOffset += 600;
+      const fingerprint = await computeFingerprint(downloadedFilePath);
+      await saveEpisodeFingerprint(dl.episodeDir, fingerprint);
+      fingerprintSegments = matchAdFingerprints(fingerprint);
+      if (fingerprintSegments.length > 0) {
+        console.log(`[Job ${jobId}] ${fingerprintSegments.length} known ad(s) found via fingerprint`);
       }
+    } catch (error) {
+      console.error(`[Job ${jobId}] Fingerprinting failed:`, error.message);
+    }
 
-      const adResult = await detectAdSegments(fullTranscription, dl.episodeDir);
-      const costData = {
-        whisper: { totalSeconds: totalWhisperSeconds, cost: totalWhisperCost },
-        gpt: { inputTokens: adResult.inputTokens || 0, outputTokens: adResult.outputTokens || 0, cost: adResult.gptCost || 0 },
-        totalCost: totalWhisperCost + (adResult.gptCost || 0),
-      };
-      console.log(`[Job ${jobId}] Total cost: $${costData.totalCost.toFixed(4)}`);
+    // Dauer und Hash dieser Fassung merken, Segmente beziehen sich auf sie
+    try {
+      await recordReferenceVariant(url, downloadedFilePath);
+    } catch (error) {
+      console.error(`[Job ${jobId}] Recording audio variant failed:`, error.message);
+    }
 
-      const title = url.split('/').pop().split('?')[0];
-      savePodcast(url, title, { segments: adResult.segments }, costData);
+    const title = url.split('/').pop().split('?')[0];
+
+    if (FINGERPRINT_SKIP_LLM && fingerprintSegments.length > 0) {
+      console.log(`[Job ${jobId}] Skipping transcription and LLM`);
+      reportProgress('save');
+      const costData = buildCostData({ model: null });
+      addCostEntry({ jobId, url, costData, estimatedCost: estimate.total });
+      savePodcast(url, title, { segments: fingerprintSegments }, costData, { source: 'fingerprint' });
       deleteRequestedUrlByUrl(url);
+      return { title };
+    }
 
-      jobs.set(jobId, { status: 'done', url, title, startedAt: jobs.get(jobId).startedAt, finishedAt: Date.now() });
-      console.log(`[Job ${jobId}] Done`);
-    } catch (err) {
-      jobs.set(jobId, { status: 'error', url, error: err.message, startedAt: jobs.get(jobId).startedAt, finishedAt: Date.now() });
-      console.error(`[Job ${jobId}] Error:`, err.message);
-    } finally {
-      try {
-        if (downloadedFilePath) await unlink(downloadedFilePath);
-        for (const chunk of audioChunks) {
-          if (chunk !== downloadedFilePath) await unlink(chunk);
-        }
-      } catch {}
+    reportProgress('split');
+    audioChunks = await splitAudioIfNeeded(downloadedFilePath, dl.episodeDir, {
+      onProgress: (current, total) => reportProgress('split', { current, total, unit: 'chunks' }),
+    });
+
+    let fullTranscription = { text: '', segments: [] };
+
+    let timeOffset = 0;
+    let totalWhisperSeconds = 0;
+    let totalWhisperCost = 0;
+    for (let i = 0; i < audioChunks.length; i++) {
+      reportProgress('transcribe', { current: i, total: audioChunks.length, unit: 'chunks' });
+      const chunkTranscription = await transcribeAudio(audioChunks[i], dl.episodeDir);
+      totalWhisperSeconds += chunkTranscription.durationSeconds || 0;
+      totalWhisperCost += chunkTranscription.whisperCost || 0;
+      const adjustedSegments = chunkTranscription.segments.map(seg => ({
+        ...seg,
+        start: seg.start + timeOffset,
+        end: seg.end + timeOffset,
+        words: seg.words?.map(w => ({ ...w, start: w.start + timeOffset, end: w.end + timeOffset })),
+      }));
+      const timestampedText = formatTranscript(adjustedSegments);
+
+      // Erster Chunk überschreibt, damit ein Retry kein doppeltes Transkript erzeugt
+      if (i === 0) {
+        await writeFile(transcriptPath, timestampedText + '\n');
+      } else {
+        await appendFile(transcriptPath, timestampedText + '\n');
+      }
+
+      fullTranscription.text += ' ' + chunkTranscription.text;
+      fullTranscription.segments.push(...adjustedSegments);
+      timeOffset += 600;
+    }
+
+    // Für die Volltextsuche auch in der DB ablegen
+    saveTranscript(url, toTranscriptRows(fullTranscription.segments));
+
+    const adResult = await detectAdSegments(fullTranscription, dl.episodeDir, {
+      onProgress: (current, total) => reportProgress('detect', { current, total, unit: 'chunks' }),
+    });
+    const costData = buildCostData({
+      whisperSeconds: totalWhisperSeconds,
+      whisperCost: totalWhisperCost,
+      inputTokens: adResult.inputTokens || 0,
+      outputTokens: adResult.outputTokens || 0,
+      llmCost: adResult.gptCost || 0,
+      model: adResult.model,
+    });
+    console.log(`[Job ${jobId}] Total cost: $${costData.totalCost.toFixed(4)}`);
+    addCostEntry({ jobId, url, costData, estimatedCost: estimate.total });
+
+    // LLM-Grenzen auf Sprechpausen verschieben; schlägt das fehl, bleiben die erkannten Zeiten
+    let llmSegments = adResult.segments;
+    reportProgress('refine');
+    try {
+      llmSegments = await refineBoundaries(downloadedFilePath, adResult.segments);
+    } catch (error) {
+      console.error(`[Job ${jobId}] Boundary refinement failed:`, error.message);
     }
-  })();
+
+    const segments = combineDetectedSegments(fingerprintSegments, llmSegments);
+
+    reportProgress('save');
+    savePodcast(url, title, { segments }, costData, { source: 'process', promptVersion: adResult.promptVersion });
+    deleteRequestedUrlByUrl(url);
+
+    return { title };
+  } finally {
+    releaseBudget(jobId);
+    try {
+      if (downloadedFilePath) await unlink(downloadedFilePath);
+      for (const chunk of audioChunks) {
+        if (chunk !== downloadedFilePath) await unlink(chunk);
+      }
+    } catch {}
+  }
+}
+
+/**
+ * GET /process
+ * Alle wartenden und laufenden Jobs, laufende mit Fortschritt.
+ */
+app.get('/process', requireRole('reviewer'), (req, res) => {
+  const jobs = getActiveJobs().map(formatJob);
+  res.json({ count: jobs.length, jobs });
 });
 
 /**
  * GET /process/:jobId
  * Status eines laufenden/abgeschlossenen Jobs abfragen.
  */
-app.get('/process/:jobId', (req, res) => {
-  const job = jobs.get(req.params.jobId);
+app.get('/process/:jobId', requireRole('reviewer'), (req, res) => {
+  const job = getJob(req.params.jobId);
+  if (!job) return res.status(404).json({ error: 'Job not found' });
+  res.json(formatJob(job));
+});
+
+// Kommentarzeile, damit Proxies eine ruhige Verbindung nicht schließen
+const SSE_HEARTBEAT_MS = 15000;
+const FINAL_JOB_STATUSES = ['done', 'refused', 'error'];
+
+/**
+ * GET /process/:jobId/events
+ * Server-Sent Events: "status" bei jedem Statuswechsel, "progress" mit Stufe und Prozent.
+ * Der Stream endet, sobald der Job abgeschlossen, abgelehnt oder fehlgeschlagen ist.
+ */
+app.get('/process/:jobId/events', requireRole('reviewer'), (req, res) => {
+  const job = getJob(req.params.jobId);
   if (!job) return res.status(404).json({ error: 'Job not found' });
-  res.json(job);
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no',
+  });
+
+  const send = (type, data) => res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+
+  send('status', formatJob(job));
+  if (FINAL_JOB_STATUSES.includes(job.status)) return res.end();
+  const progress = getJobProgress(job.id);
+  if (progress) send('progress', progress);
+
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), SSE_HEARTBEAT_MS);
+  const unsubscribe = subscribeJobEvents(job.id, ({ type, data }) => {
+    send(type, data);
+    if (type === 'status' && FINAL_JOB_STATUSES.includes(data.status)) res.end();
+  });
+  res.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+});
+
+/**
+ * Neue Folge aus einem abonnierten Feed → Pipeline starten,
+ * sofern sie nicht whitelisted, schon analysiert oder bereits in Arbeit ist.
+ */
+function enqueueFeedEpisode(episode, feed) {
+  // Enclosure-URLs stammen aus fremden Feeds und landen bei ffmpeg
+  if (!isHttpUrl(episode.url)) {
+    console.warn(`[Feed ${feed.id}] Skipping episode with invalid enclosure URL: ${episode.url}`);
+    return;
+  }
+  if (findFullWhitelistRule(episode.url, { feedUrl: feed.url }) || getPodcastByUrl(episode.url) || findActiveJobByUrl(episode.url)) return;
+  const job = enqueueJob(episode.url);
+  console.log(`[Feed ${feed.id}] Queued ${episode.title || episode.url} as ${job.id}`);
+}
+
+/**
+ * GET /feeds
+ * Alle abonnierten Podcast-Feeds.
+ */
+app.get('/feeds', requireRole('reviewer'), (req, res) => {
+  const feeds = getFeeds();
+  res.json({ count: feeds.length, feeds });
+});
+
+/**
+ * POST /feeds
+ * { "url": "https://example.com/feed.xml" }
+ * Abonniert einen RSS-Feed. Die neuesten FEED_BACKFILL Folgen werden
+ * sofort verarbeitet, danach jede neu erscheinende Folge.
+ */
+app.post('/feeds', requireRole('admin'), async (req, res) => {
+  const { url } = req.body;
+  if (!url) return res.status(400).json({ error: 'Missing required field: url' });
+  if (getFeedByUrl(url)) return res.status(409).json({ error: 'Feed ist bereits abonniert' });
+
+  let parsed;
+  try {
+    parsed = await fetchFeed(url);
+  } catch (err) {
+    return res.status(422).json({ error: err.message });
+  }
+
+  const feed = addFeed(url, parsed.title);
+  // Bereits geladenen Feed weiterreichen, statt ihn ein zweites Mal abzurufen
+  const episodes = await pollFeed(feed, enqueueFeedEpisode, FEED_BACKFILL, parsed);
+  res.json({ success: true, feed, episodes: episodes.length });
+});
+
+/**
+ * DELETE /feeds/:id
+ * Beendet das Abo eines Feeds.
+ */
+app.delete('/feeds/:id', requireRole('admin'), (req, res) => {
+  const id = parseInt(req.params.id);
+  if (isNaN(id)) return res.status(400).json({ error: 'Ungültige ID' });
+  if (!deleteFeed(id)) return res.status(404).json({ error: 'Feed nicht gefunden' });
+  res.json({ success: true });
+});
+
+/**
+ * GET /feed?src=<feed_url>
+ * Proxy für einen Podcast-Feed: Bereits analysierte Folgen zeigen auf die
+ * werbefreie Audiodatei und bekommen Kapitelmarken, wo Werbung entfernt wurde.
+ * Nicht analysierte Folgen bleiben unverändert.
+ * Nur abonnierte Feeds, damit der Server keine beliebigen URLs abruft.
+ */
+app.get('/feed', analyzeRateLimit, async (req, res) => {
+  const { src } = req.query;
+  if (!src) return res.status(400).json({ error: 'Missing required parameter: src' });
+  if (!getFeedByUrl(src)) return res.status(404).json({ error: 'Feed ist nicht abonniert' });
+
+  let xml;
+  try {
+    xml = await fetchFeedXml(src);
+  } catch (err) {
+    return res.status(502).json({ error: err.message });
+  }
+
+  const baseUrl = (process.env.PUBLIC_BASE_URL || `${req.protocol}://${req.get('host')}`).replace(/\/$/, '');
+  const result = rewriteFeed(xml, baseUrl, { crossfadeMs: CLEAN_AUDIO_CROSSFADE_MS });
+  console.log(`[Feed-Proxy] ${src}: ${result.rewritten} episode(s) rewritten`);
+
+  res.type('application/rss+xml').send(result.xml);
 });
 
 /**
  * GET /podcasts
  * Alle analysierten Podcasts aus der DB + whitelisted Hosts.
  */
-app.get('/podcasts', (req, res) => {
+app.get('/podcasts', requireRole('reviewer'), (req, res) => {
   const podcasts = getAllPodcasts();
-  const { hosts: whitelistedHosts } = loadWhitelist();
+  const rules = getWhitelistRules().map(formatWhitelistRule);
   res.json({
     analyzed: { count: podcasts.length, podcasts },
-    whitelisted: { count: whitelistedHosts.length, hosts: whitelistedHosts },
+    whitelisted: { count: rules.length, rules },
   });
 });
 
+/**
+ * GET /podcasts/:id/clean.mp3?crossfade=<ms>
+ * Liefert die Folge ohne Segmente der Werbekategorien (AD_CATEGORIES).
+ * Wird beim ersten Aufruf per ffmpeg gerendert und danach auf Platte gecacht.
+ * Unterstützt Range-Requests, damit Player spulen können.
+ */
+app.get('/podcasts/:id/clean.mp3', async (req, res) => {
+  const id = parseInt(req.params.id);
+  if (isNaN(id)) return res.status(400).json({ error: 'Ungültige ID' });
+
+  const podcast = getPodcastById(id);
+  if (!podcast) return res.status(404).json({ error: 'Podcast nicht gefunden' });
+
+  const segments = getEffectiveSegments(podcast);
+  if (!segments.some(seg => AD_CATEGORIES.includes(seg.category))) {
+    // Nichts zu schneiden → Original ausliefern
+    return res.redirect(302, podcast.url);
+  }
+
+  const crossfadeMs = req.query.crossfade !== undefined ? parseInt(req.query.crossfade) : CLEAN_AUDIO_CROSSFADE_MS;
+
+  try {
+    const path = await renderCleanAudio(podcast, segments, { crossfadeMs });
+    res.sendFile(path, { headers: { 'Content-Type': 'audio/mpeg' } });
+  } catch (err) {
+    console.error(`[Render] Error for podcast ${id}:`, err.message);
+    res.status(500).json({ error: `Rendering fehlgeschlagen: ${err.message}` });
+  }
+});
+
+/**
+ * GET /podcasts/:id/export?format=<format>
+ * Segmente als chapters (Podcasting 2.0), vtt, audacity, cue, ffmetadata (MP4-Kapitel) oder id3 (CHAP-Frames).
+ */
+app.get('/podcasts/:id/export', (req, res) => {
+  const id = parseInt(req.params.id);
+  if (isNaN(id)) return res.status(400).json({ error: 'Ungültige ID' });
+
+  const { format = 'chapters' } = req.query;
+  if (!EXPORT_FORMATS[format]) {
+    return res.status(400).json({ error: `format muss eines von ${Object.keys(EXPORT_FORMATS).join(', ')} sein` });
+  }
+
+  const podcast = getPodcastById(id);
+  if (!podcast) return res.status(404).json({ error: 'Podcast nicht gefunden' });
+
+  const { body, contentType, filename } = exportSegments(format, getEffectiveSegments(podcast), {
+    url: podcast.url,
+    title: podcast.title,
+  });
+  res.setHeader('Content-Type', contentType);
+  res.setHeader('Content-Disposition', `inline; filename="${filename}"`);
+  res.send(body);
+});
+
+/**
+ * POST /podcasts/:id/fingerprints
+ * Fingerprints aller aktuellen Werbesegmente einer Folge speichern,
+ * damit dieselben Spots in anderen Folgen ohne LLM erkannt werden.
+ * Setzt voraus, dass die Folge mit Fingerprinting verarbeitet wurde.
+ */
+app.post('/podcasts/:id/fingerprints', requireRole('reviewer'), async (req, res) => {
+  const id = parseInt(req.params.id);
+  if (isNaN(id)) return res.status(400).json({ error: 'Ungültige ID' });
+
+  const podcast = getPodcastById(id);
+  if (!podcast) return res.status(404).json({ error: 'Podcast nicht gefunden' });
+
+  try {
+    const added = await registerAdFingerprints(podcast.url, getEffectiveSegments(podcast));
+    res.json({ success: true, added });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /podcasts/:id/segments
+ * Gespeicherte Segmente der aktiven Version (ohne Community-Einreichungen) für den Editor.
+ */
+app.get('/podcasts/:id/segments', requireRole('reviewer'), (req, res) => {
+  const id = parseInt(req.params.id);
+  if (isNaN(id)) return res.status(400).json({ error: 'Ungültige ID' });
+
+  const podcast = getPodcastById(id);
+  if (!podcast) return res.status(404).json({ error: 'Podcast nicht gefunden' });
+
+  const { segments = [] } = JSON.parse(podcast.segments);
+  res.json({
+    podcast_id: podcast.id,
+    url: podcast.url,
+    title: podcast.title,
+    active_version_id: podcast.active_version_id,
+    categories: SEGMENT_CATEGORIES.map(name => ({ name, label: CATEGORY_LABELS[name] || name })),
+    segments: segments.map(seg => ({ ...seg, id: storedSegmentId(seg), source: seg.source || 'ai' })),
+  });
+});
+
+/**
+ * Manuell korrigierte Segmente als neue Version speichern.
+ * Mit base_version_id schlägt das Speichern fehl, wenn inzwischen eine andere Version aktiv ist.
+ */
+function saveSegmentEdit(req, res, edit, source = 'manual') {
+  const id = parseInt(req.params.id);
+  if (isNaN(id)) return res.status(400).json({ error: 'Ungültige ID' });
+
+  const podcast = getPodcastById(id);
+  if (!podcast) return res.status(404).json({ error: 'Podcast nicht gefunden' });
+
+  const baseVersionId = req.body?.base_version_id;
+  if (baseVersionId !== undefined && baseVersionId !== podcast.active_version_id) {
+    return res.status(409).json({ error: 'Segmente wurden inzwischen geändert', active_version_id: podcast.active_version_id });
+  }
+
+  const { segments: stored = [] } = JSON.parse(podcast.segments);
+  const result = edit(stored);
+  if (result.error) return res.status(400).json({ error: result.error });
+
+  const costData = podcast.cost_data ? JSON.parse(podcast.cost_data) : null;
+  savePodcast(podcast.url, podcast.title, { segments: result.segments }, costData, {
+    source,
+    model: null,
+    createdBy: req.apiKey.name,
+  });
+  const updated = getPodcastById(id);
+  console.log(`[Segments] Podcast ${id}: ${source} by ${req.apiKey.name} (version ${updated.active_version_id})`);
+
+  res.json({
+    success: true,
+    active_version_id: updated.active_version_id,
+    segments: result.segments.map(seg => ({ ...seg, id: storedSegmentId(seg), source: seg.source || 'ai' })),
+  });
+}
+
+/**
+ * PUT /podcasts/:id/segments
+ * Alle Segmente ersetzen. Body: { segments: [{ id?, start_ms, end_ms, category, description }], base_version_id? }
+ * Unveränderte Segmente (gleiche id und Werte) bleiben, alles andere wird als manuelle Korrektur gespeichert.
+ */
+app.put('/podcasts/:id/segments', requireRole('reviewer'), (req, res) => {
+  saveSegmentEdit(req, res, stored => replaceSegments(stored, req.body?.segments));
+});
+
+/**
+ * PATCH /podcasts/:id/segments
+ * Einzelne Änderungen. Body: { update: [{ id, ...felder }], delete: [id], add: [segment], base_version_id? }
+ */
+app.patch('/podcasts/:id/segments', requireRole('reviewer'), (req, res) => {
+  saveSegmentEdit(req, res, stored => patchSegments(stored, req.body || {}));
+});
+
+/**
+ * GET /review?threshold=<0-1>&limit=<n>
+ * Review-Queue: Segmente der aktiven Versionen unter der Konfidenzschwelle, unsicherste zuerst.
+ */
+app.get('/review', requireRole('reviewer'), (req, res) => {
+  const threshold = req.query.threshold !== undefined ? Number(req.query.threshold) : REVIEW_CONFIDENCE_THRESHOLD;
+  if (!(threshold >= 0 && threshold <= 1)) return res.status(400).json({ error: 'threshold muss eine Zahl zwischen 0 und 1 sein' });
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 500);
+
+  const items = [];
+  for (const podcast of getAllPodcastSegments()) {
+    const { segments = [] } = JSON.parse(podcast.segments);
+    for (const seg of applyWhitelist(podcast.url, segments)) {
+      const confidence = segmentConfidence(seg);
+      if (confidence === null || confidence >= threshold) continue;
+      items.push({
+        podcast_id: podcast.id,
+        url: podcast.url,
+        title: podcast.title,
+        active_version_id: podcast.active_version_id,
+        segment: { ...seg, id: storedSegmentId(seg), source: seg.source || 'ai' },
+      });
+    }
+  }
+  items.sort((a, b) => a.segment.confidence - b.segment.confidence);
+
+  res.json({ threshold, count: items.length, items: items.slice(0, limit) });
+});
+
+/**
+ * POST /podcasts/:id/segments/:segmentId/review
+ * { "action": "confirm" | "reject", "base_version_id"? }
+ * Segment aus der Review-Queue bestätigen (Konfidenz 1) oder verwerfen. Legt eine neue Version an.
+ */
+app.post('/podcasts/:id/segments/:segmentId/review', requireRole('reviewer'), (req, res) => {
+  saveSegmentEdit(req, res, stored => reviewSegment(stored, req.params.segmentId, req.body?.action), 'review');
+});
+
+/**
+ * GET /podcasts/:id/transcript?words=true
+ * Gespeichertes Transkript einer Folge (Zeiten in ms), optional mit Wort-Zeitstempeln.
+ */
+app.get('/podcasts/:id/transcript', requireRole('reviewer'), (req, res) => {
+  const id = parseInt(req.params.id);
+  if (isNaN(id)) return res.status(400).json({ error: 'Ungültige ID' });
+
+  const podcast = getPodcastById(id);
+  if (!podcast) return res.status(404).json({ error: 'Podcast nicht gefunden' });
+
+  const withWords = req.query.words === 'true';
+  const segments = getTranscript(podcast.url).map(({ words, ...row }) => (withWords ? { ...row, words } : row));
+  res.json({ podcast_id: podcast.id, count: segments.length, segments });
+});
+
+/**
+ * GET /podcasts/:id/versions
+ * Alle Erkennungsläufe einer Folge (neueste zuerst) mit Modell, Prompt-Version und Quelle.
+ */
+app.get('/podcasts/:id/versions', requireRole('reviewer'), (req, res) => {
+  const id = parseInt(req.params.id);
+  if (isNaN(id)) return res.status(400).json({ error: 'Ungültige ID' });
+
+  const podcast = getPodcastById(id);
+  if (!podcast) return res.status(404).json({ error: 'Podcast nicht gefunden' });
+
+  const versions = getSegmentVersions(podcast.url);
+  res.json({ podcast_id: podcast.id, active_version_id: podcast.active_version_id, count: versions.length, versions });
+});
+
+function findVersion(podcast, versionId) {
+  const version = getSegmentVersion(versionId);
+  if (!version || version.podcast_url !== podcast.url) return null;
+  return { ...version, segments: JSON.parse(version.segments).segments || [] };
+}
+
+/**
+ * GET /podcasts/:id/versions/diff?from=<versionId>&to=<versionId>
+ * Unterschiede zwischen zwei Versionen: hinzugekommene, entfernte und verschobene Segmente.
+ * Standard: to = aktive Version, from = die Version davor.
+ */
+app.get('/podcasts/:id/versions/diff', requireRole('reviewer'), (req, res) => {
+  const id = parseInt(req.params.id);
+  if (isNaN(id)) return res.status(400).json({ error: 'Ungültige ID' });
+
+  const podcast = getPodcastById(id);
+  if (!podcast) return res.status(404).json({ error: 'Podcast nicht gefunden' });
+
+  const versions = getSegmentVersions(podcast.url);
+  const toId = req.query.to ? parseInt(req.query.to) : podcast.active_version_id;
+  const fromId = req.query.from ? parseInt(req.query.from) : versions.find(v => v.id < toId)?.id;
+  if (fromId === undefined) return res.status(404).json({ error: 'Keine ältere Version vorhanden' });
+  if (isNaN(toId) || isNaN(fromId)) return res.status(400).json({ error: 'Ungültige Versions-ID' });
+
+  const from = findVersion(podcast, fromId);
+  const to = findVersion(podcast, toId);
+  if (!from || !to) return res.status(404).json({ error: 'Version nicht gefunden' });
+
+  res.json({ from: from.id, to: to.id, ...diffSegments(from.segments, to.segments) });
+});
+
+/**
+ * GET /podcasts/:id/versions/:versionId
+ * Eine Version inkl. ihrer Segmente.
+ */
+app.get('/podcasts/:id/versions/:versionId', requireRole('reviewer'), (req, res) => {
+  const id = parseInt(req.params.id);
+  const versionId = parseInt(req.params.versionId);
+  if (isNaN(id) || isNaN(versionId)) return res.status(400).json({ error: 'Ungültige ID' });
+
+  const podcast = getPodcastById(id);
+  if (!podcast) return res.status(404).json({ error: 'Podcast nicht gefunden' });
+
+  const version = findVersion(podcast, versionId);
+  if (!version) return res.status(404).json({ error: 'Version nicht gefunden' });
+
+  const { podcast_url, ...rest } = version;
+  res.json({ ...rest, active: podcast.active_version_id === version.id });
+});
+
+/**
+ * POST /podcasts/:id/versions/:versionId/activate
+ * Diese Version ausliefern (z.B. Rollback nach einem schlechten Modellwechsel).
+ */
+app.post('/podcasts/:id/versions/:versionId/activate', requireRole('admin'), (req, res) => {
+  const id = parseInt(req.params.id);
+  const versionId = parseInt(req.params.versionId);
+  if (isNaN(id) || isNaN(versionId)) return res.status(400).json({ error: 'Ungültige ID' });
+
+  const podcast = getPodcastById(id);
+  if (!podcast) return res.status(404).json({ error: 'Podcast nicht gefunden' });
+
+  if (!activateSegmentVersion(podcast.url, versionId)) {
+    return res.status(404).json({ error: 'Version nicht gefunden' });
+  }
+  console.log(`[Versions] Podcast ${id}: version ${versionId} activated`);
+  res.json({ success: true, active_version_id: versionId });
+});
+
+/**
+ * POST /podcasts/:id/reanalyze
+ * Werbeerkennung mit dem gespeicherten Transkript neu laufen lassen
+ * (z.B. nach Prompt- oder Modellwechsel). Kein Download, keine Transkription.
+ */
+app.post('/podcasts/:id/reanalyze', requireRole('admin'), (req, res) => {
+  const id = parseInt(req.params.id);
+  if (isNaN(id)) return res.status(400).json({ error: 'Ungültige ID' });
+
+  const podcast = getPodcastById(id);
+  if (!podcast) return res.status(404).json({ error: 'Podcast nicht gefunden' });
+  if (!hasTranscript(podcast.url)) {
+    return res.status(409).json({ error: 'Kein gespeichertes Transkript, bitte über POST /process neu verarbeiten' });
+  }
+
+  const job = enqueueJob(podcast.url, 'reanalyze', { apiKeyId: req.apiKey.id });
+  res.json({ jobId: job.id, status: job.status, url: podcast.url });
+});
+
+/**
+ * POST /podcasts/reanalyze
+ * Mehrere Folgen neu analysieren. Body: { host, before, model, all, dry_run }
+ * - host: nur Folgen dieses Hosts (inkl. Subdomains)
+ * - before: nur Folgen, die vor diesem Zeitpunkt zuletzt analysiert wurden
+ * - model: nur Folgen, die mit diesem LLM-Modell analysiert wurden
+ * Ohne Filter nur mit all: true. dry_run: true listet nur die Treffer.
+ */
+app.post('/podcasts/reanalyze', requireRole('admin'), (req, res) => {
+  const { host, before, model, all = false, dry_run: dryRun = false } = req.body || {};
+  if (!host && !before && !model && all !== true) {
+    return res.status(400).json({ error: 'Mindestens ein Filter (host, before, model) oder all: true erforderlich' });
+  }
+
+  const beforeDate = before ? new Date(before) : null;
+  if (beforeDate && isNaN(beforeDate)) return res.status(400).json({ error: 'Ungültiges Datum: before' });
+
+  const episodes = selectEpisodesForReanalysis({ host: host?.replace(/^www\./, ''), before: beforeDate, model });
+  if (dryRun) {
+    return res.json({ count: episodes.length, episodes: episodes.map(p => ({ id: p.id, url: p.url, title: p.title })) });
+  }
+
+  const jobs = episodes.map(p => {
+    const job = enqueueJob(p.url, 'reanalyze', { apiKeyId: req.apiKey.id });
+    return { jobId: job.id, status: job.status, url: p.url };
+  });
+  console.log(`[Reanalyze] ${jobs.length} episode(s) queued`);
+  res.json({ count: jobs.length, jobs });
+});
+
+/**
+ * GET /fingerprints
+ * Alle gespeicherten Werbe-Fingerprints (ohne Hashes).
+ */
+app.get('/fingerprints', requireRole('reviewer'), (req, res) => {
+  const fingerprints = listAdFingerprints();
+  res.json({ count: fingerprints.length, fingerprints });
+});
+
+/**
+ * DELETE /fingerprints/:id
+ * Fingerprint entfernen, z.B. wenn er falsche Treffer liefert.
+ */
+app.delete('/fingerprints/:id', requireRole('admin'), (req, res) => {
+  const id = parseInt(req.params.id);
+  if (isNaN(id)) return res.status(400).json({ error: 'Ungültige ID' });
+
+  if (!deleteAdFingerprint(id)) return res.status(404).json({ error: 'Fingerprint nicht gefunden' });
+  res.json({ success: true });
+});
+
 /**
  * GET /podcasts/requested
  * Alle URLs die angefragt wurden, aber noch nicht analysiert sind.
  */
-app.get('/podcasts/requested', (req, res) => {
+app.get('/podcasts/requested', requireRole('reviewer'), (req, res) => {
   const requested = getRequestedUrls();
   res.json({ count: requested.length, requested });
 });
@@ -265,50 +1001,202 @@ app.get('/podcasts/requested', (req, res) => {
  * DELETE /podcasts/requested/:id
  * Entfernt eine URL aus der requested-Liste.
  */
-app.delete('/podcasts/requested/:id', (req, res) => {
+app.delete('/podcasts/requested/:id', requireRole('admin'), (req, res) => {
   const id = parseInt(req.params.id);
   if (isNaN(id)) return res.status(400).json({ error: 'Ungültige ID' });
   deleteRequestedUrl(id);
   res.json({ success: true });
 });
 
+function formatWhitelistRule(rule) {
+  return { ...rule, expired: isExpired(rule) };
+}
+
 /**
  * GET /whitelist
- * Alle whitelisted Podcast-Hosts.
+ * Alle Whitelist-Regeln, abgelaufene mit expired: true.
  */
-app.get('/whitelist', (req, res) => {
-  res.json(loadWhitelist());
+app.get('/whitelist', requireRole('reviewer'), (req, res) => {
+  const rules = getWhitelistRules().map(formatWhitelistRule);
+  res.json({ count: rules.length, rules });
+});
+
+/**
+ * GET /whitelist/check?url=<episode-url>
+ * Welche aktiven Regeln auf eine Folge zutreffen und welche Kategorien sie abdecken.
+ */
+app.get('/whitelist/check', requireRole('reviewer'), (req, res) => {
+  const { url } = req.query;
+  if (!url) return res.status(400).json({ error: 'url ist erforderlich' });
+
+  const match = getWhitelistMatch(url);
+  res.json({
+    url,
+    whitelisted: !!match?.full,
+    categories: match?.categories || [],
+    rules: (match?.rules || []).map(formatWhitelistRule),
+  });
 });
 
 /**
  * POST /whitelist
- * { "name": "Morgen Grauen", "match": "103e68ee0" }
- * Fügt einen neuen Host zur Whitelist hinzu.
+ * { "name": "Morgen Grauen", "match_type": "path_prefix", "pattern": "example.com/podcasts/103e68ee0",
+ *   "categories": ["eigenwerbung"], "expires_at": "2027-01-01", "note": "..." }
+ * Legt eine Regel an. categories fehlt oder null = Folgen werden gar nicht analysiert.
+ */
+app.post('/whitelist', requireRole('admin'), (req, res) => {
+  const { rule, error } = parseWhitelistRule(req.body || {});
+  if (error) return res.status(400).json({ error });
+
+  const id = addWhitelistRule(rule);
+  if (!id) return res.status(409).json({ error: 'Eine Regel mit diesem match_type und pattern existiert bereits' });
+  res.json({ success: true, rule: formatWhitelistRule(getWhitelistRule(id)) });
+});
+
+/**
+ * PATCH /whitelist/:id
+ * { "name"?, "categories"?, "expires_at"?, "note"? }
+ * Ändert eine Regel, z.B. um sie zu verlängern. match_type und pattern bleiben.
+ */
+app.patch('/whitelist/:id', requireRole('admin'), (req, res) => {
+  const id = parseInt(req.params.id);
+  if (isNaN(id)) return res.status(400).json({ error: 'Ungültige ID' });
+
+  const { options, error } = parseRuleOptions(req.body || {});
+  if (error) return res.status(400).json({ error });
+
+  if (!updateWhitelistRule(id, options)) return res.status(404).json({ error: 'Regel nicht gefunden' });
+  res.json({ success: true, rule: formatWhitelistRule(getWhitelistRule(id)) });
+});
+
+/**
+ * DELETE /whitelist/:id
+ * Entfernt eine Regel.
+ */
+app.delete('/whitelist/:id', requireRole('admin'), (req, res) => {
+  const id = parseInt(req.params.id);
+  if (isNaN(id)) return res.status(400).json({ error: 'Ungültige ID' });
+
+  if (!deleteWhitelistRule(id)) return res.status(404).json({ error: 'Regel nicht gefunden' });
+  res.json({ success: true });
+});
+
+/**
+ * GET /search?q=<query>&limit=<n>
+ * Volltextsuche in allen Transkripten (FTS4: "Phrase", OR, Präfix*).
+ * Treffer werden pro Folge gruppiert, mit Zeitstempel und Textausschnitt.
  */
-app.post('/whitelist', (req, res) => {
-  const { name, match } = req.body;
-  if (!name || !match) return res.status(400).json({ error: 'name und match sind erforderlich' });
+app.get('/search', requireRole('reviewer'), (req, res) => {
+  const { q } = req.query;
+  if (!q || !q.trim()) return res.status(400).json({ error: 'Missing required parameter: q' });
+  const limit = Math.min(parseInt(req.query.limit) || 100, 1000);
 
-  const data = loadWhitelist();
-  if (data.hosts.find(h => h.match === match)) {
-    return res.status(409).json({ error: 'Dieser match-Wert existiert bereits' });
+  let rows;
+  try {
+    rows = searchTranscripts(q.trim(), limit);
+  } catch (error) {
+    return res.status(400).json({ error: `Ungültige Suchanfrage: ${error.message}` });
   }
-  data.hosts.push({ name, match });
-  saveWhitelist(data);
-  res.json({ success: true, hosts: data.hosts });
+
+  const episodes = new Map();
+  for (const row of rows) {
+    if (!episodes.has(row.podcast_url)) {
+      episodes.set(row.podcast_url, { id: row.podcast_id, url: row.podcast_url, title: row.title, matches: [] });
+    }
+    episodes.get(row.podcast_url).matches.push({ start_ms: row.start_ms, end_ms: row.end_ms, snippet: row.snippet });
+  }
+
+  res.json({ query: q, count: rows.length, truncated: rows.length === limit, episodes: [...episodes.values()] });
 });
 
 /**
- * DELETE /whitelist/:name
- * Entfernt einen Host aus der Whitelist (per name).
+ * GET /stats/costs?group_by=day|month|host|model&from=YYYY-MM-DD&to=YYYY-MM-DD&format=json|csv
+ * Whisper-Sekunden, Tokens und Kosten aus dem Kostenbuch, gruppiert (to inklusive).
  */
-app.delete('/whitelist/:name', (req, res) => {
-  const data = loadWhitelist();
-  const before = data.hosts.length;
-  data.hosts = data.hosts.filter(h => h.name !== req.params.name);
-  if (data.hosts.length === before) return res.status(404).json({ error: 'Host nicht gefunden' });
-  saveWhitelist(data);
-  res.json({ success: true, hosts: data.hosts });
+app.get('/stats/costs', requireRole('reviewer'), (req, res) => {
+  const { group_by: groupBy = 'day', format = 'json' } = req.query;
+  if (!COST_GROUPS.includes(groupBy)) {
+    return res.status(400).json({ error: `group_by muss eines von ${COST_GROUPS.join(', ')} sein` });
+  }
+  if (!['json', 'csv'].includes(format)) {
+    return res.status(400).json({ error: 'format muss json oder csv sein' });
+  }
+
+  const parseDate = value => (value && /^\d{4}-\d{2}-\d{2}$/.test(value) ? Date.parse(`${value}T00:00:00Z`) : NaN);
+  const from = req.query.from ? parseDate(req.query.from) : undefined;
+  const to = req.query.to ? parseDate(req.query.to) + 24 * 60 * 60 * 1000 : undefined;
+  if (Number.isNaN(from) || Number.isNaN(to)) {
+    return res.status(400).json({ error: 'from/to müssen im Format YYYY-MM-DD sein' });
+  }
+
+  const stats = aggregateCosts({ groupBy, from, to });
+  if (format === 'csv') {
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="costs_by_${groupBy}.csv"`);
+    return res.send(costsToCsv(stats));
+  }
+  res.json(stats);
+});
+
+/**
+ * GET /budget
+ * Ausgaben des aktuellen Tages/Monats (UTC) gegenüber den Budget-Limits.
+ */
+app.get('/budget', requireRole('reviewer'), (req, res) => {
+  res.json(getBudgetStatus());
+});
+
+/**
+ * GET /budget/estimate?url=<podcast_url>
+ * Geschätzte Kosten einer Folge (Dauer per ffprobe, ohne Download).
+ */
+app.get('/budget/estimate', requireRole('reviewer'), async (req, res) => {
+  const { url } = req.query;
+  if (!url) return res.status(400).json({ error: 'Missing required parameter: url' });
+  if (!isHttpUrl(url)) return res.status(400).json({ error: 'url muss eine http(s)-URL sein' });
+
+  try {
+    res.json({ url, ...(await estimateEpisodeCost(url)) });
+  } catch (error) {
+    res.status(502).json({ error: `Dauer konnte nicht ermittelt werden: ${error.message}` });
+  }
+});
+
+/**
+ * GET /keys
+ * Alle API-Keys, ohne den Key selbst (nur Präfix zur Wiedererkennung).
+ */
+app.get('/keys', requireRole('admin'), (req, res) => {
+  const keys = getApiKeys();
+  res.json({ count: keys.length, keys });
+});
+
+/**
+ * POST /keys
+ * { "name": "Android-App", "role": "client" | "reviewer" | "admin", "daily_quota": 20 }
+ * Erzeugt einen neuen API-Key (daily_quota optional, 0 = unbegrenzt). Er wird nur in dieser Antwort im Klartext geliefert.
+ */
+app.post('/keys', requireRole('admin'), (req, res) => {
+  const { name, role, daily_quota: dailyQuota = null } = req.body;
+  if (!name) return res.status(400).json({ error: 'name ist erforderlich' });
+  if (!ROLES.includes(role)) return res.status(400).json({ error: `role muss eine von ${ROLES.join(', ')} sein` });
+  if (dailyQuota !== null && (!Number.isInteger(dailyQuota) || dailyQuota < 0)) {
+    return res.status(400).json({ error: 'daily_quota muss eine ganze Zahl >= 0 sein' });
+  }
+
+  res.status(201).json(createApiKey(name, role, dailyQuota));
+});
+
+/**
+ * DELETE /keys/:id
+ * API-Key widerrufen.
+ */
+app.delete('/keys/:id', requireRole('admin'), (req, res) => {
+  const id = parseInt(req.params.id);
+  if (isNaN(id)) return res.status(400).json({ error: 'Ungültige ID' });
+
+  if (!revokeApiKey(id)) return res.status(404).json({ error: 'API-Key nicht gefunden' });
+  res.json({ success: true });
 });
 
 /**
@@ -331,28 +1219,71 @@ app.get('/', (req, res) => {
   res.json({
     service: 'Podcast Sponsorblocker API',
     version: '1.1.0',
+    authentication: 'API-Key per X-API-Key oder Authorization: Bearer <key>. Rollen: client < reviewer < admin; Endpunkte ohne [rolle] sind öffentlich.',
     endpoints: {
-      'GET /analyze?url=<url>': 'Gibt gecachte Ad-Segmente zurück. 404 wenn noch nicht analysiert.',
-      'POST /process': 'Startet Analyse-Pipeline (server-only). Body: { url }. Gibt jobId zurück.',
-      'GET /process/:jobId': 'Status eines laufenden oder abgeschlossenen Jobs.',
-      'GET /podcasts': 'Alle analysierten Podcasts aus der DB.',
-      'GET /podcasts/requested': 'Alle anefragten aber noch nicht analysierten URLs.',
-      'GET /whitelist': 'Alle whitelisted Podcast-Hosts.',
-      'POST /whitelist': 'Host zur Whitelist hinzufügen. Body: { name, match }.',
-      'DELETE /whitelist/:name': 'Host aus Whitelist entfernen.',
+      'GET /analyze?url=<url>': 'Gibt gecachte Ad-Segmente zurück. 404 wenn noch nicht analysiert. Optional duration_ms=<ms> für dynamisch eingefügte Werbung, categories=<liste>|all (Standard: Werbekategorien), min_confidence=<0-1>.',
+      'GET /segments?url=<url>': 'Community-Einreichungen einer Folge inkl. Score.',
+      'POST /segments': '[client] Segment einreichen. Body: { url, start_ms, end_ms, category, description }.',
+      'POST /segments/:id/vote': '[client] Segment up-/downvoten (eine Stimme pro API-Key). Body: { vote: "up"|"down", url }.',
+      'POST /process': '[admin] Stellt eine URL in die Analyse-Queue. Body: { url }. Gibt jobId zurück.',
+      'GET /process': '[reviewer] Wartende und laufende Jobs inkl. Fortschritt.',
+      'GET /process/:jobId': '[reviewer] Status eines Jobs (queued, running, deferred, done, refused, error), während er läuft mit progress { stage, percent }.',
+      'GET /process/:jobId/events': '[reviewer] Live-Fortschritt eines Jobs als Server-Sent Events (status, progress).',
+      'GET /podcasts': '[reviewer] Alle analysierten Podcasts aus der DB.',
+      'GET /podcasts/:id/clean.mp3': 'Folge ohne Werbung (ffmpeg, gecacht, Range-Requests). Query: crossfade=<ms>.',
+      'GET /podcasts/:id/export?format=<format>': 'Segmente exportieren: chapters, vtt, audacity, cue, ffmetadata, id3.',
+      'POST /podcasts/:id/fingerprints': '[reviewer] Fingerprints der Werbesegmente einer Folge speichern.',
+      'GET /podcasts/:id/segments': '[reviewer] Gespeicherte Segmente der aktiven Version inkl. Kategorien.',
+      'PUT /podcasts/:id/segments': '[reviewer] Alle Segmente ersetzen (manuelle Korrektur). Body: { segments, base_version_id }.',
+      'PATCH /podcasts/:id/segments': '[reviewer] Segmente ändern/löschen/hinzufügen. Body: { update, delete, add, base_version_id }.',
+      'GET /review': '[reviewer] Segmente mit niedriger Konfidenz. Query: threshold (Standard REVIEW_CONFIDENCE_THRESHOLD), limit.',
+      'POST /podcasts/:id/segments/:segmentId/review': '[reviewer] Segment bestätigen oder verwerfen. Body: { action: confirm|reject, base_version_id? }.',
+      'GET /podcasts/:id/transcript': '[reviewer] Gespeichertes Transkript. Query: words=true für Wort-Zeitstempel.',
+      'GET /podcasts/:id/versions': '[reviewer] Alle Erkennungsläufe einer Folge (Modell, Prompt-Version, Quelle).',
+      'GET /podcasts/:id/versions/diff?from=<id>&to=<id>': '[reviewer] Hinzugekommene, entfernte und verschobene Segmente.',
+      'GET /podcasts/:id/versions/:versionId': '[reviewer] Eine Version inkl. Segmente.',
+      'POST /podcasts/:id/versions/:versionId/activate': '[admin] Version aktiv schalten (Rollback).',
+      'POST /podcasts/:id/reanalyze': '[admin] Werbeerkennung mit gespeichertem Transkript neu starten.',
+      'POST /podcasts/reanalyze': '[admin] Mehrere Folgen neu analysieren. Body: { host, before, model, all, dry_run }.',
+      'GET /fingerprints': '[reviewer] Alle gespeicherten Werbe-Fingerprints.',
+      'DELETE /fingerprints/:id': '[admin] Fingerprint entfernen.',
+      'GET /podcasts/requested': '[reviewer] Alle anefragten aber noch nicht analysierten URLs.',
+      'GET /feed?src=<feed_url>': 'Werbefreier Proxy-Feed eines abonnierten Feeds: analysierte Folgen zeigen auf /podcasts/:id/clean.mp3.',
+      'GET /feeds': '[reviewer] Alle abonnierten RSS-Feeds.',
+      'POST /feeds': '[admin] Feed abonnieren, neue Folgen werden automatisch analysiert. Body: { url }.',
+      'DELETE /feeds/:id': '[admin] Feed-Abo beenden.',
+      'GET /whitelist': '[reviewer] Alle Whitelist-Regeln.',
+      'GET /whitelist/check': '[reviewer] Zutreffende Regeln für eine Folge. Query: url.',
+      'POST /whitelist': '[admin] Regel anlegen. Body: { name, match_type (host|path_prefix|regex|feed), pattern, categories?, expires_at?, note? }.',
+      'PATCH /whitelist/:id': '[admin] Regel ändern. Body: { name?, categories?, expires_at?, note? }.',
+      'DELETE /whitelist/:id': '[admin] Regel entfernen.',
+      'GET /search?q=<query>': '[reviewer] Volltextsuche in Transkripten, Treffer pro Folge mit Zeitstempel.',
+      'GET /stats/costs': '[reviewer] Kosten und Nutzung gruppiert. Query: group_by=day|month|host|model, from, to (YYYY-MM-DD), format=json|csv.',
+      'GET /budget': '[reviewer] Ausgaben heute/diesen Monat gegenüber den Budget-Limits.',
+      'GET /budget/estimate?url=<url>': '[reviewer] Geschätzte Kosten einer Folge.',
+      'GET /keys': '[admin] Alle API-Keys (ohne Key selbst).',
+      'POST /keys': '[admin] API-Key erzeugen. Body: { name, role, daily_quota }. Der Key wird nur einmal angezeigt.',
+      'DELETE /keys/:id': '[admin] API-Key widerrufen.',
       'GET /health': 'Health check',
     },
   });
 });
 
-/**
- * Format seconds to MM:SS
- */
-function formatTime(seconds) {
-  const mins = Math.floor(seconds / 60);
-  const secs = Math.floor(seconds % 60);
-  return `${mins}:${secs.toString().padStart(2, '0')}`;
-}
+// Transkripte aus der Zeit vor der Volltextsuche übernehmen
+importTranscriptFiles().catch(error => console.error('[Transcripts] Import failed:', error.message));
+
+// Job-Queue starten (setzt auch nach einem Neustart unterbrochene Jobs fort)
+registerJobHandler('process', runPipeline);
+registerJobHandler('realign', realignVariant);
+registerJobHandler('reanalyze', reanalyzeEpisode);
+startJobQueue({
+  concurrency: JOB_CONCURRENCY,
+  maxAttempts: JOB_MAX_ATTEMPTS,
+  retryBaseMs: JOB_RETRY_BASE_SECONDS * 1000,
+});
+
+// Abonnierte Feeds regelmäßig auf neue Folgen prüfen
+startFeedPolling(enqueueFeedEpisode, FEED_POLL_INTERVAL_MINUTES * 60 * 1000);
 
 const sslOptions = {
   key: readFileSync(process.env.SSL_KEY_PATH),
@@ -1,21 +1,36 @@
-import { exec } from 'child_process';
+import { execFile } from 'child_process';
 import { promisify } from 'util';
 import { stat } from 'fs/promises';
 import { join, dirname, basename, extname } from 'path';
 
-const execAsync = promisify(exec);
+const execFileAsync = promisify(execFile);
 
 const MAX_FILE_SIZE_MB = 24; // Whisper API limit is 25MB
 const CHUNK_DURATION_SECONDS = 600; // 10 minutes per chunk
 
+/**
+ * Get the duration of an audio file (or URL) via ffprobe
+ * @param {string} inputPath - Path or URL of the audio file
+ * @param {Object} options - { timeout } in ms, 0 = none
+ * @returns {Promise<number>} Duration in seconds
+ */
+export async function getAudioDuration(inputPath, { timeout = 0 } = {}) {
+  // Argumente ohne Shell, die URL kann vom Client kommen
+  const { stdout: durationOutput } = await execFileAsync('ffprobe', [
+    '-v', 'error', '-show_entries', 'format=duration', '-of', 'default=noprint_wrappers=1:nokey=1', '-i', inputPath,
+  ], { timeout });
+  return parseFloat(durationOutput.trim());
+}
+
 /**
  * Split audio file into chunks if it exceeds Whisper API size limit
  * Chunks are saved in the same directory as the input file
  * @param {string} inputPath - Path to input audio file
  * @param {string} episodeDir - Directory for this episode
+ * @param {Object} options - { onProgress } called with (created, total) chunks
  * @returns {Promise<string[]>} Array of paths to audio chunks
  */
-export async function splitAudioIfNeeded(inputPath, episodeDir = null) {
+export async function splitAudioIfNeeded(inputPath, episodeDir = null, { onProgress } = {}) {
   try {
     // Check file size
     const stats = await stat(inputPath);
@@ -32,9 +47,7 @@ export async function splitAudioIfNeeded(inputPath, episodeDir = null) {
     console.log(`File exceeds ${MAX_FILE_SIZE_MB}MB limit, splitting into chunks...`);
 
     // Get audio duration first
-    const durationCommand = `ffprobe -v error -show_entries format=duration -of default=noprint_wrappers=1:nokey=1 "${inputPath}"`;
-    const { stdout: durationOutput } = await execAsync(durationCommand);
-    const totalDuration = parseFloat(durationOutput.trim());
+    const totalDuration = await getAudioDuration(inputPath);
 
     console.log(`Total duration: ${Math.floor(totalDuration / 60)} minutes`);
 
@@ -46,6 +59,8 @@ export async function splitAudioIfNeeded(inputPath, episodeDir = null) {
     const chunks = [];
     let startTime = 0;
     let chunkIndex = 0;
+    const expectedChunks = Math.ceil(totalDuration / CHUNK_DURATION_SECONDS);
+    onProgress?.(0, expectedChunks);
 
     // Split into chunks
     while (startTime < totalDuration) {
@@ -53,14 +68,15 @@ export async function splitAudioIfNeeded(inputPath, episodeDir = null) {
 
       // Split chunk using ffmpeg with compression
       // Use mono, 16kHz, 64kbps for speech (Whisper recommended settings)
-      const command = `ffmpeg -i "${inputPath}" -ss ${startTime} -t ${CHUNK_DURATION_SECONDS} -ac 1 -ar 16000 -b:a 64k "${outputPath}" -y`;
+      const args = ['-i', inputPath, '-ss', String(startTime), '-t', String(CHUNK_DURATION_SECONDS), '-ac', '1', '-ar', '16000', '-b:a', '64k', outputPath, '-y'];
 
       console.log(`Creating chunk ${chunkIndex} (${Math.floor(startTime / 60)}min - ${Math.floor((startTime + CHUNK_DURATION_SECONDS) / 60)}min)...`);
-      await execAsync(command);
+      await execFileAsync('ffmpeg', args);
 
       chunks.push(outputPath);
       startTime += CHUNK_DURATION_SECONDS;
       chunkIndex++;
+      onProgress?.(chunkIndex, expectedChunks);
     }
 
     console.log(`Split into ${chunks.length} chunks`);
@@ -0,0 +1,45 @@
+import { readFile, access } from 'fs/promises';
+import { join, basename, extname } from 'path';
+import { assignWordsToSegments } from './word-timestamps.js';
+
+/**
+ * Transcription provider: pre-recorded transcripts for tests
+ * Looks up <TRANSCRIPTION_FIXTURE_DIR>/<audio basename>.json and
+ * falls back to default.json. Fixtures use the OpenAI verbose_json
+ * shape ({ text, segments, words?, duration }); nothing is sent anywhere.
+ */
+export const fixtureProvider = {
+  name: 'fixture',
+  costPerMinute: 0,
+
+  /**
+   * @param {string} audioFilePath - Path to the audio file (only its name is used)
+   * @returns {Promise<Object>} { text, segments, durationSeconds, whisperCost }
+   */
+  async transcribe(audioFilePath) {
+    const fixtureDir = process.env.TRANSCRIPTION_FIXTURE_DIR || join(process.cwd(), 'fixtures', 'transcripts');
+    const candidates = [
+      join(fixtureDir, `${basename(audioFilePath, extname(audioFilePath))}.json`),
+      join(fixtureDir, 'default.json')
+    ];
+
+    for (const candidate of candidates) {
+      try {
+        await access(candidate);
+      } catch {
+        continue;
+      }
+      const fixture = JSON.parse(await readFile(candidate, 'utf-8'));
+      // Wörter wie bei OpenAI als eigene Liste oder direkt in den Segmenten
+      const segments = fixture.words ? assignWordsToSegments(fixture.segments || [], fixture.words) : (fixture.segments || []);
+      return {
+        text: fixture.text ?? segments.map(s => s.text).join(' '),
+        segments,
+        durationSeconds: fixture.duration ?? segments[segments.length - 1]?.end ?? 0,
+        whisperCost: 0
+      };
+    }
+
+    throw new Error(`No transcript fixture for ${basename(audioFilePath)} in ${fixtureDir}`);
+  }
+};
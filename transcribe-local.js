@@ -0,0 +1,109 @@
+import { exec, execFile } from 'child_process';
+import { promisify } from 'util';
+import { mkdtemp, readdir, readFile, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { getAudioDuration } from './split-audio.js';
+
+const execAsync = promisify(exec);
+const execFileAsync = promisify(execFile);
+
+// Beispiele:
+//   whisper.cpp:     whisper-cli -m models/ggml-large-v3.bin -l de -f {input} -ojf -of {output}
+//   faster-whisper:  whisper-ctranslate2 {input} --language de --word_timestamps True --output_format json --output_dir {output_dir}
+// Wort-Zeitstempel liefert whisper.cpp nur mit -ojf (volles JSON), faster-whisper mit --word_timestamps True
+const DEFAULT_COMMAND = 'whisper-ctranslate2 {input} --language de --word_timestamps True --output_format json --output_dir {output_dir}';
+
+/**
+ * Join whisper.cpp tokens into words: a token starting with a space begins a new word,
+ * special tokens like [_BEG_] are skipped
+ */
+function tokensToWords(tokens = []) {
+  const words = [];
+  for (const token of tokens) {
+    if (/^\[_.*\]$/.test(token.text.trim())) continue;
+    const start = token.offsets.from / 1000;
+    const end = token.offsets.to / 1000;
+    if (words.length === 0 || token.text.startsWith(' ')) {
+      words.push({ word: token.text.trim(), start, end });
+    } else {
+      const last = words[words.length - 1];
+      last.word += token.text;
+      last.end = end;
+    }
+  }
+  return words.filter(w => w.word);
+}
+
+/**
+ * Normalize the JSON written by whisper.cpp or (faster-)whisper
+ * into the same segment shape the OpenAI API returns
+ */
+function parseWhisperJson(json) {
+  // whisper.cpp: { transcription: [{ offsets: { from, to } (ms), text }] }
+  if (Array.isArray(json.transcription)) {
+    const segments = json.transcription.map((entry, id) => ({
+      id,
+      start: entry.offsets.from / 1000,
+      end: entry.offsets.to / 1000,
+      text: entry.text.trim(),
+      words: tokensToWords(entry.tokens)
+    }));
+    return { text: segments.map(s => s.text).join(' '), segments };
+  }
+
+  // openai-whisper / faster-whisper: { text, segments: [{ start, end, text }] (s) }
+  if (Array.isArray(json.segments)) {
+    const segments = json.segments.map((seg, id) => ({
+      id,
+      start: seg.start,
+      end: seg.end,
+      text: seg.text.trim(),
+      words: (seg.words || []).map(w => ({ word: w.word.trim(), start: w.start, end: w.end }))
+    }));
+    return { text: json.text ?? segments.map(s => s.text).join(' '), segments };
+  }
+
+  throw new Error('Unrecognized whisper JSON output');
+}
+
+/**
+ * Transcription provider: local whisper.cpp / faster-whisper CLI
+ * The audio is converted to 16kHz mono WAV (required by whisper.cpp),
+ * then LOCAL_WHISPER_COMMAND is run with {input}, {output} and
+ * {output_dir} replaced. No audio leaves the machine.
+ */
+export const localProvider = {
+  name: 'local',
+  costPerMinute: 0,
+
+  /**
+   * @param {string} audioFilePath - Path to the audio file
+   * @returns {Promise<Object>} { text, segments, durationSeconds, whisperCost }
+   */
+  async transcribe(audioFilePath) {
+    const workDir = await mkdtemp(join(tmpdir(), 'whisper-'));
+    try {
+      const wavPath = join(workDir, 'input.wav');
+      await execFileAsync('ffmpeg', ['-i', audioFilePath, '-ac', '1', '-ar', '16000', '-c:a', 'pcm_s16le', wavPath, '-y']);
+
+      // LOCAL_WHISPER_COMMAND ist eine Shell-Vorlage; eingesetzt werden nur Pfade im eigenen Temp-Verzeichnis
+      const command = (process.env.LOCAL_WHISPER_COMMAND || DEFAULT_COMMAND)
+        .replaceAll('{input}', `"${wavPath}"`)
+        .replaceAll('{output_dir}', `"${workDir}"`)
+        .replaceAll('{output}', `"${join(workDir, 'input')}"`);
+
+      await execAsync(command, { maxBuffer: 64 * 1024 * 1024 });
+
+      const jsonFile = (await readdir(workDir)).find(f => f.endsWith('.json'));
+      if (!jsonFile) throw new Error('Local whisper did not write a JSON transcript');
+
+      const { text, segments } = parseWhisperJson(JSON.parse(await readFile(join(workDir, jsonFile), 'utf-8')));
+      const durationSeconds = await getAudioDuration(wavPath);
+
+      return { text, segments, durationSeconds, whisperCost: 0 };
+    } finally {
+      await rm(workDir, { recursive: true, force: true });
+    }
+  }
+};
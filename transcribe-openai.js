@@ -0,0 +1,52 @@
+import OpenAI from 'openai';
+import { createReadStream } from 'fs';
+import { assignWordsToSegments } from './word-timestamps.js';
+
+let openai;
+
+// Whisper: $0.006 per minute
+const COST_PER_MINUTE = 0.006;
+
+function getOpenAIClient() {
+  if (!openai) {
+    openai = new OpenAI({
+      apiKey: process.env.OPENAI_API_KEY
+    });
+  }
+  return openai;
+}
+
+/**
+ * Transcription provider: OpenAI Whisper API (whisper-1)
+ */
+export const openaiProvider = {
+  name: 'openai',
+  costPerMinute: COST_PER_MINUTE,
+
+  /**
+   * @param {string} audioFilePath - Path to the audio file (max 25MB)
+   * @returns {Promise<Object>} { text, segments, durationSeconds, whisperCost }
+   */
+  async transcribe(audioFilePath) {
+    const client = getOpenAIClient();
+    const transcription = await client.audio.transcriptions.create({
+      file: createReadStream(audioFilePath),
+      model: 'whisper-1',
+      response_format: 'verbose_json',
+      timestamp_granularities: ['segment', 'word']
+    }, {
+      timeout: 120000, // 2 minute timeout
+      maxRetries: 2
+    });
+
+    const durationSeconds = transcription.duration || 0;
+    const whisperCost = (durationSeconds / 60) * COST_PER_MINUTE;
+
+    return {
+      text: transcription.text,
+      segments: assignWordsToSegments(transcription.segments || [], transcription.words),
+      durationSeconds,
+      whisperCost
+    };
+  }
+};
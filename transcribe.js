@@ -1,19 +1,31 @@
-import OpenAI from 'openai';
-import { createReadStream } from 'fs';
+import { openaiProvider } from './transcribe-openai.js';
+import { localProvider } from './transcribe-local.js';
+import { fixtureProvider } from './transcribe-fixture.js';
 
-let openai;
+// Provider müssen transcribe(audioFilePath) → { text, segments, durationSeconds, whisperCost } liefern,
+// Segmente nach Möglichkeit mit Wort-Zeitstempeln (segment.words = [{ word, start, end }])
+// und ihren Preis pro Minute (costPerMinute) für Kostenschätzungen angeben
+const PROVIDERS = {
+  openai: openaiProvider,
+  local: localProvider,
+  fixture: fixtureProvider
+};
 
-function getOpenAIClient() {
-  if (!openai) {
-    openai = new OpenAI({
-      apiKey: process.env.OPENAI_API_KEY
-    });
+/**
+ * Get the transcription provider selected by TRANSCRIPTION_PROVIDER
+ * @param {string} name - Provider name (openai, local, fixture)
+ * @returns {Object} Provider with a transcribe() method
+ */
+export function getTranscriptionProvider(name = process.env.TRANSCRIPTION_PROVIDER || 'openai') {
+  const provider = PROVIDERS[name];
+  if (!provider) {
+    throw new Error(`Unknown transcription provider "${name}" (available: ${Object.keys(PROVIDERS).join(', ')})`);
   }
-  return openai;
+  return provider;
 }
 
 /**
- * Transcribe audio file using OpenAI Whisper API
+ * Transcribe audio file using the configured provider
  * Note: Individual chunk transcripts are no longer saved.
  * Only the final combined transcript is saved in server.js
  * @param {string} audioFilePath - Path to the audio file
@@ -21,34 +33,16 @@ function getOpenAIClient() {
  * @returns {Promise<Object>} Transcription with timestamps
  */
 export async function transcribeAudio(audioFilePath, episodeDir = null, retries = 3) {
+  const provider = getTranscriptionProvider();
+
   for (let attempt = 1; attempt <= retries; attempt++) {
     try {
-      console.log(`Transcribing audio file: ${audioFilePath} (attempt ${attempt}/${retries})`);
+      console.log(`Transcribing audio file: ${audioFilePath} via ${provider.name} (attempt ${attempt}/${retries})`);
 
-      const client = getOpenAIClient();
-      const transcription = await client.audio.transcriptions.create({
-        file: createReadStream(audioFilePath),
-        model: 'whisper-1',
-        response_format: 'verbose_json',
-        timestamp_granularities: ['segment']
-      }, {
-        timeout: 120000, // 2 minute timeout
-        maxRetries: 2
-      });
+      const result = await provider.transcribe(audioFilePath);
 
       console.log('Transcription completed');
 
-      // Whisper: $0.006 per minute
-      const durationSeconds = transcription.duration || 0;
-      const whisperCost = (durationSeconds / 60) * 0.006;
-
-      const result = {
-        text: transcription.text,
-        segments: transcription.segments || [],
-        durationSeconds,
-        whisperCost
-      };
-
       // No longer saving individual chunk transcripts
       // Only the final combined transcript is saved in server.js
 
@@ -0,0 +1,115 @@
+import { readFile } from 'fs/promises';
+import { join } from 'path';
+import { getAllPodcasts, hasTranscript, saveTranscript, getTranscript } from './database.js';
+import { getEpisodeDir } from './download.js';
+
+export const TRANSCRIPT_FILE = 'transcript_timestamped.txt';
+
+/**
+ * Format seconds to MM:SS (minutes may exceed 59)
+ */
+function formatTime(seconds) {
+  const mins = Math.floor(seconds / 60);
+  const secs = Math.floor(seconds % 60);
+  return `${mins}:${secs.toString().padStart(2, '0')}`;
+}
+
+/**
+ * Render Whisper segments (seconds) as the lines of transcript_timestamped.txt
+ * @param {Object[]} segments - [{ start, end, text }]
+ * @returns {string} "[M:SS - M:SS] text" per line
+ */
+export function formatTranscript(segments) {
+  return segments
+    .map(seg => `[${formatTime(seg.start)} - ${formatTime(seg.end)}] ${seg.text}`)
+    .join('\n');
+}
+
+/**
+ * Parse a transcript_timestamped.txt back into segments
+ * Lines that do not start with a timestamp are appended to the previous segment.
+ * @param {string} content - File content
+ * @returns {Object[]} [{ start_ms, end_ms, text }]
+ */
+export function parseTranscript(content) {
+  const segments = [];
+  for (const line of content.split('\n')) {
+    const match = line.match(/^\[(\d+):(\d{2}) - (\d+):(\d{2})\]\s?(.*)$/);
+    if (match) {
+      const [, startMin, startSec, endMin, endSec, text] = match;
+      segments.push({
+        start_ms: (parseInt(startMin) * 60 + parseInt(startSec)) * 1000,
+        end_ms: (parseInt(endMin) * 60 + parseInt(endSec)) * 1000,
+        text: text.trim(),
+      });
+    } else if (line.trim() && segments.length > 0) {
+      segments[segments.length - 1].text += ' ' + line.trim();
+    }
+  }
+  return segments;
+}
+
+/**
+ * Whisper segments (seconds) → transcript rows (ms) for the database, incl. word timestamps
+ */
+export function toTranscriptRows(segments) {
+  return segments.map(seg => ({
+    start_ms: Math.round(seg.start * 1000),
+    end_ms: Math.round(seg.end * 1000),
+    text: seg.text,
+    words: seg.words?.map(w => ({ word: w.word, start_ms: Math.round(w.start * 1000), end_ms: Math.round(w.end * 1000) })),
+  }));
+}
+
+/**
+ * Load the stored transcript of an episode in the shape detectAdSegments expects
+ * Falls back to transcript_timestamped.txt (and stores it) if the database has none.
+ * @param {string} url - Episode URL
+ * @returns {Promise<Object|null>} { text, segments: [{ start, end, text, words? }] } in seconds
+ */
+export async function loadTranscription(url) {
+  let rows = getTranscript(url);
+  if (rows.length === 0) {
+    try {
+      rows = parseTranscript(await readFile(join(getEpisodeDir(url), TRANSCRIPT_FILE), 'utf-8'));
+    } catch {
+      return null;
+    }
+    if (rows.length === 0) return null;
+    saveTranscript(url, rows);
+  }
+
+  const segments = rows.map(row => ({
+    start: row.start_ms / 1000,
+    end: row.end_ms / 1000,
+    text: row.text,
+    ...(row.words && { words: row.words.map(w => ({ word: w.word, start: w.start_ms / 1000, end: w.end_ms / 1000 })) }),
+  }));
+  return { text: segments.map(seg => seg.text).join(' '), segments };
+}
+
+/**
+ * Import transcript files of analyzed episodes that are not in the database yet
+ * @returns {Promise<number>} Number of imported transcripts
+ */
+export async function importTranscriptFiles() {
+  let imported = 0;
+  for (const podcast of getAllPodcasts()) {
+    if (hasTranscript(podcast.url)) continue;
+
+    let content;
+    try {
+      content = await readFile(join(getEpisodeDir(podcast.url), TRANSCRIPT_FILE), 'utf-8');
+    } catch {
+      continue;
+    }
+
+    const segments = parseTranscript(content);
+    if (segments.length === 0) continue;
+    saveTranscript(podcast.url, segments, { deferSave: true });
+    imported++;
+  }
+
+  if (imported > 0) console.log(`[Transcripts] Imported ${imported} transcript file(s) into the database`);
+  return imported;
+}
@@ -0,0 +1,155 @@
+import { getWhitelistRules, getEpisodeFeedUrls } from './database.js';
+import { SEGMENT_CATEGORIES } from './categories.js';
+
+// host: Host inkl. Subdomains, path_prefix: "host/pfad"-Anfang der URL,
+// regex: regulärer Ausdruck auf die ganze URL, feed: Folgen eines abonnierten Feeds
+export const MATCH_TYPES = ['host', 'path_prefix', 'regex', 'feed'];
+
+/**
+ * "https://www.Example.com/a/b?x" → "example.com/a/b"
+ */
+function hostAndPath(url) {
+  try {
+    const parsed = new URL(url);
+    return parsed.hostname.toLowerCase().replace(/^www\./, '') + parsed.pathname.replace(/\/+$/, '');
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Normalize a user-entered pattern the same way as the URLs it is compared with
+ */
+function normalizePattern(matchType, pattern) {
+  const trimmed = pattern.trim();
+  if (matchType === 'host') return trimmed.toLowerCase().replace(/^https?:\/\//, '').replace(/^www\./, '').replace(/\/.*$/, '');
+  if (matchType === 'path_prefix') return hostAndPath(/^https?:\/\//i.test(trimmed) ? trimmed : `https://${trimmed}`) ?? trimmed;
+  return trimmed;
+}
+
+/**
+ * Validate a rule from a request body and bring it into stored form
+ * @param {Object} body - { name, match_type, pattern, categories?, expires_at?, note? }
+ * @returns {Object} { rule } or { error }
+ */
+export function parseWhitelistRule({ name, match_type: matchType, pattern, categories, expires_at: expiresAt, note }) {
+  if (typeof name !== 'string' || !name.trim()) return { error: 'name ist erforderlich' };
+  if (!MATCH_TYPES.includes(matchType)) return { error: `match_type muss einer von ${MATCH_TYPES.join(', ')} sein` };
+  if (typeof pattern !== 'string' || !pattern.trim()) return { error: 'pattern ist erforderlich' };
+
+  const rule = { name: name.trim(), matchType, pattern: normalizePattern(matchType, pattern) };
+  if (matchType === 'regex') {
+    try {
+      new RegExp(rule.pattern, 'i');
+    } catch (e) {
+      return { error: `Ungültiger regulärer Ausdruck: ${e.message}` };
+    }
+  }
+  if (matchType === 'host' && !rule.pattern) return { error: 'pattern muss ein Hostname sein' };
+
+  const options = parseRuleOptions({ categories, expires_at: expiresAt, note });
+  return options.error ? options : { rule: { ...rule, ...options.options } };
+}
+
+/**
+ * Validate the changeable fields of a rule (PATCH); missing fields stay undefined
+ * @returns {Object} { options } or { error }
+ */
+export function parseRuleOptions({ name, categories, expires_at: expiresAt, note }) {
+  const options = {};
+  if (name !== undefined) {
+    if (typeof name !== 'string' || !name.trim()) return { error: 'name darf nicht leer sein' };
+    options.name = name.trim();
+  }
+  if (categories !== undefined && categories !== null) {
+    if (!Array.isArray(categories) || categories.length === 0 || categories.some(c => !SEGMENT_CATEGORIES.includes(c))) {
+      return { error: `categories muss eine Liste aus ${SEGMENT_CATEGORIES.join(', ')} sein (null = alle)` };
+    }
+    // Alle Kategorien aufgezählt entspricht einer vollständigen Whitelist
+    options.categories = SEGMENT_CATEGORIES.every(c => categories.includes(c)) ? null : [...new Set(categories)];
+  } else if (categories === null) {
+    options.categories = null;
+  }
+  if (expiresAt !== undefined) {
+    const ms = expiresAt === null ? null : Date.parse(expiresAt);
+    if (Number.isNaN(ms)) return { error: 'expires_at muss ein Datum sein (ISO 8601) oder null' };
+    options.expiresAt = ms;
+  }
+  if (note !== undefined) {
+    if (note !== null && (typeof note !== 'string' || note.length > 500)) return { error: 'note muss ein String mit max. 500 Zeichen sein' };
+    options.note = note || null;
+  }
+  return { options };
+}
+
+/**
+ * Does a rule match an episode?
+ * @param {Object} rule - Row from whitelist_rules
+ * @param {string} url - Episode URL
+ * @param {string[]} feedUrls - Feeds the episode appeared in
+ */
+export function ruleMatches(rule, url, feedUrls = []) {
+  switch (rule.match_type) {
+    case 'host': {
+      const host = hostAndPath(url)?.split('/')[0];
+      return !!host && (host === rule.pattern || host.endsWith(`.${rule.pattern}`));
+    }
+    case 'path_prefix': {
+      const path = hostAndPath(url);
+      return !!path && (path === rule.pattern || path.startsWith(rule.pattern.endsWith('/') ? rule.pattern : `${rule.pattern}/`));
+    }
+    case 'regex':
+      try {
+        return new RegExp(rule.pattern, 'i').test(url);
+      } catch {
+        return false;
+      }
+    case 'feed':
+      return feedUrls.some(feedUrl => hostAndPath(feedUrl) === hostAndPath(rule.pattern));
+    default:
+      return false;
+  }
+}
+
+export function isExpired(rule, now = Date.now()) {
+  return rule.expires_at !== null && rule.expires_at <= now;
+}
+
+/**
+ * Active whitelist rules matching an episode, and which categories they cover
+ * @param {string} url - Episode URL
+ * @param {Object} options - { feedUrl } if the episode comes from a known feed
+ * @returns {Object|null} { rules, categories, full } - full: every category is whitelisted
+ */
+export function getWhitelistMatch(url, { feedUrl } = {}) {
+  const rules = getWhitelistRules().filter(rule => !isExpired(rule));
+  if (rules.length === 0) return null;
+
+  // Feed-Zugehörigkeit nur nachschlagen, wenn es Feed-Regeln gibt
+  const feedUrls = rules.some(rule => rule.match_type === 'feed')
+    ? [...new Set([...(feedUrl ? [feedUrl] : []), ...getEpisodeFeedUrls(url)])]
+    : [];
+  const matching = rules.filter(rule => ruleMatches(rule, url, feedUrls));
+  if (matching.length === 0) return null;
+
+  const categories = matching.some(rule => !rule.categories)
+    ? [...SEGMENT_CATEGORIES]
+    : SEGMENT_CATEGORIES.filter(c => matching.some(rule => rule.categories.includes(c)));
+  return { rules: matching, categories, full: categories.length === SEGMENT_CATEGORIES.length };
+}
+
+/**
+ * Rule that whitelists an episode completely, so it is not analyzed at all
+ */
+export function findFullWhitelistRule(url, options) {
+  const match = getWhitelistMatch(url, options);
+  return match?.full ? match.rules.find(rule => !rule.categories) || match.rules[0] : null;
+}
+
+/**
+ * Drop segments of categories that are whitelisted for this episode
+ */
+export function applyWhitelist(url, segments) {
+  const match = getWhitelistMatch(url);
+  return match ? segments.filter(seg => !match.categories.includes(seg.category)) : segments;
+}
@@ -0,0 +1,100 @@
+// Wie weit (ms) um die vom LLM genannte Zeit nach den Wörtern gesucht wird;
+// das LLM sieht nur Segment-Zeitstempel auf Sekundenebene
+const SEARCH_WINDOW_MS = 30000;
+// Anteil der Wörter einer Phrase, die übereinstimmen müssen
+const MIN_MATCH_RATIO = 0.6;
+
+/**
+ * Lowercase and strip punctuation so "Sponsor," matches "sponsor"
+ */
+function normalizeWord(word) {
+  return word.toLowerCase().replace(/[^\p{L}\p{N}]/gu, '');
+}
+
+/**
+ * Attach words to the segment they start in
+ * For providers that return words as a separate list (OpenAI verbose_json).
+ * @param {Object[]} segments - [{ start, end, text }] in seconds
+ * @param {Object[]} words - [{ word, start, end }] in seconds
+ * @returns {Object[]} Segments with a words array
+ */
+export function assignWordsToSegments(segments, words = []) {
+  let w = 0;
+  return segments.map((seg, i) => {
+    const segWords = [];
+    const isLast = i === segments.length - 1;
+    while (w < words.length && (isLast || words[w].start < segments[i + 1].start)) {
+      segWords.push({ word: words[w].word, start: words[w].start, end: words[w].end });
+      w++;
+    }
+    return { ...seg, words: segWords };
+  });
+}
+
+/**
+ * All words of a transcription in order, in ms
+ * @param {Object[]} segments - Whisper segments (seconds) with optional words
+ * @returns {Object[]} [{ word, norm, start_ms, end_ms }]
+ */
+export function flattenWords(segments) {
+  const words = [];
+  for (const seg of segments) {
+    for (const w of seg.words || []) {
+      const norm = normalizeWord(w.word);
+      if (!norm) continue;
+      words.push({ word: w.word.trim(), norm, start_ms: Math.round(w.start * 1000), end_ms: Math.round(w.end * 1000) });
+    }
+  }
+  return words;
+}
+
+/**
+ * Find a quoted phrase in the word list near a given time
+ * @param {Object[]} words - From flattenWords()
+ * @param {string} phrase - Words as quoted by the LLM
+ * @param {number} aroundMs - Time the LLM gave for the phrase
+ * @returns {Object|null} { start_ms, end_ms } of the matched words
+ */
+export function findPhrase(words, phrase, aroundMs) {
+  const tokens = (phrase || '').split(/\s+/).map(normalizeWord).filter(Boolean);
+  if (tokens.length === 0) return null;
+
+  const required = Math.max(1, Math.ceil(tokens.length * MIN_MATCH_RATIO));
+  let best = null;
+  for (let i = 0; i + tokens.length <= words.length; i++) {
+    if (Math.abs(words[i].start_ms - aroundMs) > SEARCH_WINDOW_MS) continue;
+
+    let score = 0;
+    for (let t = 0; t < tokens.length; t++) {
+      if (words[i + t].norm === tokens[t]) score++;
+    }
+    if (score < required) continue;
+
+    const distance = Math.abs(words[i].start_ms - aroundMs);
+    if (!best || score > best.score || (score === best.score && distance < best.distance)) {
+      best = { score, distance, start_ms: words[i].start_ms, end_ms: words[i + tokens.length - 1].end_ms };
+    }
+  }
+  return best && { start_ms: best.start_ms, end_ms: best.end_ms };
+}
+
+/**
+ * Resolve the first/last words the LLM quoted for an ad to exact times
+ * Falls back to the LLM's segment times if a phrase is not found.
+ * @param {Object} seg - { start_ms, end_ms, first_words, last_words, ... } from the LLM
+ * @param {Object[]} words - From flattenWords()
+ * @returns {Object} Segment without first_words/last_words, with precise times where possible
+ *   and word_aligned: true if both ends were resolved
+ */
+export function resolveWordBoundaries(seg, words) {
+  const { first_words: firstWords, last_words: lastWords, ...rest } = seg;
+  if (words.length === 0) return rest;
+
+  const first = findPhrase(words, firstWords, seg.start_ms);
+  const last = findPhrase(words, lastWords, seg.end_ms);
+  const start = first ? first.start_ms : seg.start_ms;
+  const end = last ? last.end_ms : seg.end_ms;
+
+  if (end <= start) return rest;
+  return { ...rest, start_ms: start, end_ms: end, ...(first && last ? { word_aligned: true } : {}) };
+}